@@ -1,9 +1,13 @@
-// Entry point for compare.html — multi-document scatter plot comparison
+// Entry point for compare.html — multi-document chart comparison
 
-import { importFromJSON } from './features/export.js';
+import { importFromJSON, exportEventSelection } from './features/export.js';
 import { saveDocument, loadDocument } from './core/storage.js';
 import { DIMENSIONS, computeDimension } from './features/dimensions.js';
-import { ScatterChart, getSeriesColor } from './ui/chart.js';
+import { getMonotonicTimes } from './features/sessions.js';
+import {
+  ScatterChart, LineChart, HistogramChart, BoxPlotChart, DensityChart, getSeriesColor,
+} from './ui/chart.js';
+import { formatTime, formatNumber } from './utils/helpers.js';
 
 // --- DOM ---
 const dropZone = document.getElementById('compare-drop-zone');
@@ -11,22 +15,57 @@ const fileInput = document.getElementById('compare-file-input');
 const docListEl = document.getElementById('compare-doc-list');
 const xSelect = document.getElementById('x-axis-select');
 const ySelect = document.getElementById('y-axis-select');
+const chartTypeSelect = document.getElementById('chart-type-select');
 const canvas = document.getElementById('compare-canvas');
 const emptyMsg = document.getElementById('compare-empty');
+const toolbar = document.getElementById('chart-toolbar');
+const btnResetView = document.getElementById('btn-reset-view');
+const selectionSection = document.getElementById('compare-selection');
+const selectionTotal = document.getElementById('selection-total');
+const selectionDocList = document.getElementById('selection-doc-list');
 
 // --- State ---
 const STORAGE_KEY = 'writeproof_compare_docs';
-let documents = []; // [{ doc, color, visible, xData, yData }]
+let documents = []; // [{ doc, color, visible, xData, yData, times }]
 let currentXDim = 'normalizedTime';
 let currentYDim = 'typingSpeed';
+let currentChartType = 'scatter';
+let currentTool = 'pan';
 let chart = null;
+let selection = []; // [{ seriesId, indices }] brushed on the chart
+
+// Renderer for each chart type. Histograms show only the x dimension and
+// box plots only the y one; the other axis gets a fixed label.
+const CHART_TYPES = {
+  scatter: {
+    create: () => {
+      const scatter = new ScatterChart(canvas, {
+        tooltip: describePoint,
+        onPointClick: openInReplay,
+        onSelect: (selected) => {
+          selection = selected;
+          renderSelection();
+        },
+        onViewChange: (zoomed) => {
+          btnResetView.disabled = !zoomed;
+        },
+      });
+      scatter.setTool(currentTool);
+      return scatter;
+    },
+  },
+  line: { create: () => new LineChart(canvas) },
+  histogram: { create: () => new HistogramChart(canvas), yLabel: 'Share of events (%)' },
+  boxplot: { create: () => new BoxPlotChart(canvas), xLabel: 'Document' },
+  density: { create: () => new DensityChart(canvas) },
+};
 
 // --- Init ---
 
-function init() {
+async function init() {
   populateSelects();
-  chart = new ScatterChart(canvas);
-  loadPersistedDocs();
+  chart = CHART_TYPES[currentChartType].create();
+  await loadPersistedDocs();
   updateChart();
 }
 
@@ -57,6 +96,38 @@ function populateSelects() {
   });
 }
 
+// --- Chart Type ---
+
+chartTypeSelect.addEventListener('change', () => {
+  currentChartType = chartTypeSelect.value;
+  const type = CHART_TYPES[currentChartType];
+  chart.destroy();
+  chart = type.create();
+  xSelect.disabled = Boolean(type.xLabel);
+  ySelect.disabled = Boolean(type.yLabel);
+
+  // Only the scatter plot zooms and selects points
+  selection = [];
+  renderSelection();
+  btnResetView.disabled = true;
+  updateChart();
+});
+
+// --- Chart Tools ---
+
+for (const btn of toolbar.querySelectorAll('[data-tool]')) {
+  btn.addEventListener('click', () => {
+    currentTool = btn.dataset.tool;
+    chart.setTool(currentTool);
+    for (const other of toolbar.querySelectorAll('[data-tool]')) {
+      other.classList.toggle('active', other === btn);
+      other.setAttribute('aria-pressed', String(other === btn));
+    }
+  });
+}
+
+btnResetView.addEventListener('click', () => chart.resetView());
+
 // --- File Upload ---
 
 dropZone.addEventListener('click', () => fileInput.click());
@@ -83,7 +154,7 @@ async function handleFiles(fileList) {
   for (const file of fileList) {
     try {
       const doc = await importFromJSON(file);
-      saveDocument(doc);
+      await saveDocument(doc);
       addDocument(doc);
     } catch (err) {
       console.error('Import failed:', file.name, err);
@@ -107,6 +178,7 @@ function addDocument(doc) {
     visible: true,
     xData: computeDimension(currentXDim, doc),
     yData: computeDimension(currentYDim, doc),
+    times: null,
   };
 
   if (existing >= 0) {
@@ -141,13 +213,13 @@ function persistDocIds() {
   } catch { /* ignore */ }
 }
 
-function loadPersistedDocs() {
+async function loadPersistedDocs() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return;
     const ids = JSON.parse(raw);
     for (const id of ids) {
-      const doc = loadDocument(id);
+      const doc = await loadDocument(id);
       if (doc && doc.keystrokeLog && doc.keystrokeLog.length > 0) {
         addDocument(doc);
       }
@@ -172,8 +244,9 @@ function recomputeAxis(axis) {
 function updateChart() {
   const xDim = DIMENSIONS.find((d) => d.id === currentXDim);
   const yDim = DIMENSIONS.find((d) => d.id === currentYDim);
-  const xLabel = xDim ? xDim.label + (xDim.unit ? ` (${xDim.unit})` : '') : '';
-  const yLabel = yDim ? yDim.label + (yDim.unit ? ` (${yDim.unit})` : '') : '';
+  const type = CHART_TYPES[currentChartType];
+  const xLabel = type.xLabel || (xDim ? xDim.label + (xDim.unit ? ` (${xDim.unit})` : '') : '');
+  const yLabel = type.yLabel || (yDim ? yDim.label + (yDim.unit ? ` (${yDim.unit})` : '') : '');
 
   chart.setAxes(xLabel, yLabel);
 
@@ -191,8 +264,129 @@ function updateChart() {
   // Toggle empty message
   emptyMsg.style.display = documents.length === 0 ? 'flex' : 'none';
   canvas.style.display = documents.length === 0 ? 'none' : 'block';
+  toolbar.style.display = documents.length === 0 || currentChartType !== 'scatter' ? 'none' : 'flex';
+}
+
+// --- Point Details ---
+
+const EVENT_LABELS = {
+  i: 'Typed',
+  p: 'Pasted',
+  d: 'Deleted',
+  m: 'Cursor move',
+  k: 'Link added',
+  e: 'Link changed',
+  r: 'Link removed',
+  n: 'Title changed',
+  s: 'Session started',
+};
+
+// Longest event text shown in a tooltip
+const TOOLTIP_TEXT_LENGTH = 120;
+
+function describePoint(id, index) {
+  const entry = documents.find((d) => d.doc.id === id);
+  if (!entry) return null;
+  const log = entry.doc.keystrokeLog;
+  const event = log[index];
+  if (!entry.times) entry.times = getMonotonicTimes(log);
+
+  const el = document.createElement('div');
+
+  const title = document.createElement('div');
+  title.className = 'chart-tooltip-title';
+  const dot = document.createElement('span');
+  dot.className = 'compare-doc-color';
+  dot.style.backgroundColor = entry.color;
+  title.append(dot, entry.doc.title || 'Untitled');
+  el.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.textContent = `Event ${formatNumber(index + 1)} of ${formatNumber(log.length)} \u00b7 ${EVENT_LABELS[event.y] || event.y} \u00b7 ${formatTime(entry.times[index])}`;
+  el.appendChild(meta);
+
+  if ((event.y === 'i' || event.y === 'p' || event.y === 'd') && event.c) {
+    const text = document.createElement('div');
+    text.className = `chart-tooltip-text${event.y === 'd' ? ' chart-tooltip-deleted' : ''}`;
+    text.textContent = event.c.length > TOOLTIP_TEXT_LENGTH
+      ? `${event.c.slice(0, TOOLTIP_TEXT_LENGTH)}\u2026`
+      : event.c;
+    el.appendChild(text);
+  }
+
+  const hint = document.createElement('div');
+  hint.className = 'chart-tooltip-hint';
+  hint.textContent = 'Click to open the replay here';
+  el.appendChild(hint);
+  return el;
+}
+
+// Documents on this page are kept in browser storage, so the Verify page
+// can open them by id
+function openInReplay(id, index) {
+  const url = `verify.html?doc=${encodeURIComponent(id)}&seek=${index + 1}`;
+  window.open(url, '_blank', 'noopener');
+}
+
+// --- Selection ---
+
+// "Typed 120 · Deleted 30" for the given events, most common first
+function summarizeTypes(log, indices) {
+  const counts = new Map();
+  for (const i of indices) counts.set(log[i].y, (counts.get(log[i].y) || 0) + 1);
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([y, count]) => `${EVENT_LABELS[y] || y} ${formatNumber(count)}`)
+    .join(' \u00b7 ');
 }
 
+function renderSelection() {
+  selectionSection.hidden = selection.length === 0;
+  selectionDocList.innerHTML = '';
+  const total = selection.reduce((sum, s) => sum + s.indices.length, 0);
+  selectionTotal.textContent = `${formatNumber(total)} event${total === 1 ? '' : 's'} selected`;
+
+  for (const { seriesId, indices } of selection) {
+    const entry = documents.find((d) => d.doc.id === seriesId);
+    if (!entry) continue;
+
+    const li = document.createElement('li');
+    li.className = 'compare-doc-item compare-selection-item';
+
+    const dot = document.createElement('span');
+    dot.className = 'compare-doc-color';
+    dot.style.backgroundColor = entry.color;
+
+    const name = document.createElement('span');
+    name.className = 'compare-doc-name';
+    name.textContent = entry.doc.title || 'Untitled';
+    name.title = entry.doc.title || 'Untitled';
+
+    const count = document.createElement('span');
+    count.className = 'compare-selection-count';
+    count.textContent = formatNumber(indices.length);
+
+    const types = document.createElement('div');
+    types.className = 'compare-selection-types';
+    types.textContent = summarizeTypes(entry.doc.keystrokeLog, indices);
+
+    li.appendChild(dot);
+    li.appendChild(name);
+    li.appendChild(count);
+    li.appendChild(types);
+    selectionDocList.appendChild(li);
+  }
+}
+
+document.getElementById('btn-clear-selection').addEventListener('click', () => chart.clearSelection());
+
+document.getElementById('btn-export-selection').addEventListener('click', () => {
+  const picked = selection
+    .map(({ seriesId, indices }) => ({ doc: documents.find((d) => d.doc.id === seriesId)?.doc, indices }))
+    .filter((s) => s.doc);
+  exportEventSelection(picked, { x: currentXDim, y: currentYDim });
+});
+
 // --- Sidebar Doc List ---
 
 function renderDocList() {
@@ -1,9 +1,14 @@
 // Editor orchestration and document lifecycle for WriteProof
 
-import { generateUUID, countWords, formatTime } from '../utils/helpers.js';
-import { renderContentWithLinks, extractContentAndLinks } from '../utils/caret.js';
+import { generateUUID, countWords, formatTime, DEFAULT_TITLE } from '../utils/helpers.js';
+import { renderContentWithLinks } from '../utils/caret.js';
 import { KeystrokeRecorder } from './keystroke.js';
 import { saveDocument, loadDocument } from './storage.js';
+import { computeManifestHash, HASH_SHA256 } from './hashing.js';
+import { signChain, signManifest } from './signing.js';
+
+// Most saves in a row when edits keep arriving while saving (see _savePasses())
+const MAX_SAVE_PASSES = 3;
 
 export class Editor {
   constructor(textarea, options = {}) {
@@ -13,12 +18,16 @@ export class Editor {
     this._autoSaveTimer = null;
     this._sessionTimer = null;
     this._sessionStart = null;
+    this._timeBase = 0;
     this._dirty = false;
+    // Saves run one after another; this settles when the last one has
+    this._saving = Promise.resolve();
     this._onUpdate = options.onUpdate || null;
+    this._onError = options.onError || null;
     this._autoSaveInterval = options.autoSaveInterval || 5000;
   }
 
-  createDocument(title = 'Untitled Document') {
+  createDocument(title = DEFAULT_TITLE) {
     const now = new Date().toISOString();
     this._doc = {
       id: generateUUID(),
@@ -29,6 +38,7 @@ export class Editor {
       links: [],
       keystrokeLog: [],
       chainHash: '',
+      hashAlgorithm: HASH_SHA256,
       metadata: {
         totalKeystrokes: 0,
         totalTime: 0,
@@ -47,8 +57,8 @@ export class Editor {
     return this._doc;
   }
 
-  loadDocument(id) {
-    const doc = loadDocument(id);
+  async loadDocument(id) {
+    const doc = await loadDocument(id);
     if (!doc) return null;
 
     this._doc = doc;
@@ -105,15 +115,21 @@ export class Editor {
 
   _startSessionTimer() {
     this._sessionStart = Date.now();
+    this._timeBase = this._doc.metadata.totalTime;
     this._stopSessionTimer();
     this._sessionTimer = setInterval(() => {
-      if (this._doc) {
-        this._doc.metadata.totalTime += 1000;
-        this._emitUpdate();
-      }
+      if (this._doc) this._emitUpdate();
     }, 1000);
   }
 
+  // metadata.totalTime is part of the signed manifest, so it only changes
+  // in save(); the live figure is derived from the session start
+  _elapsedTime() {
+    if (!this._doc) return 0;
+    if (this._sessionStart === null) return this._doc.metadata.totalTime;
+    return this._timeBase + (Date.now() - this._sessionStart);
+  }
+
   _stopSessionTimer() {
     if (this._sessionTimer) {
       clearInterval(this._sessionTimer);
@@ -121,11 +137,29 @@ export class Editor {
     }
   }
 
-  async save() {
+  save() {
+    const run = this._saving.then(() => this._savePasses());
+    this._saving = run.catch(() => {});
+    return run;
+  }
+
+  async _savePasses() {
     if (!this._doc) return false;
+    let ok = await this._saveOnce();
+    // Edits made during a save leave the stored manifest hash and
+    // signatures behind the stored content and log, which verifies as
+    // changed outside the editor. Save again until the two agree.
+    for (let pass = 1; ok && this._dirty && pass < MAX_SAVE_PASSES; pass++) {
+      ok = await this._saveOnce();
+    }
+    return ok;
+  }
+
+  async _saveOnce() {
     // Wait for all pending hash computations so chainHash is consistent.
     // Loop because new events can arrive while we await, extending the queue.
     if (this._recorder) {
+      this._recorder.sync();
       let ready = this._recorder.hashReady;
       await ready;
       while (this._recorder.hashReady !== ready) {
@@ -133,27 +167,44 @@ export class Editor {
         await ready;
       }
     }
+    // The queue is drained, so chainHash covers exactly this many events.
+    // The manifest is snapshotted synchronously from this same state.
+    const head = { i: this._doc.keystrokeLog.length, h: this._doc.chainHash };
+    // Changes made while the save is in flight mark the document dirty again
+    this._dirty = false;
     this._doc.lastModified = new Date().toISOString();
-    // Extract current links from the editor DOM
-    const { links } = extractContentAndLinks(this._textarea);
-    this._doc.links = links;
     this._updateMetadata();
-    const ok = saveDocument(this._doc);
-    if (ok) this._dirty = false;
+    this._doc.metadata.totalTime = this._elapsedTime();
+    this._doc.manifestHash = await computeManifestHash(this._doc);
+    try {
+      await signChain(this._doc, head);
+      await signManifest(this._doc);
+    } catch (err) {
+      console.warn('[WriteProof] Signing error:', err.message);
+    }
+    let ok = false;
+    try {
+      ok = await saveDocument(this._doc);
+    } catch (err) {
+      this._dirty = true;
+      console.error('[WriteProof] Save failed:', err.message);
+      if (this._onError) this._onError(err);
+    }
     this._emitUpdate();
     return ok;
   }
 
   setTitle(title) {
-    if (!this._doc) return;
+    if (!this._doc || title === this._doc.title) return;
     this._doc.title = title;
+    if (this._recorder) this._recorder.recordTitle(title);
     this._dirty = true;
   }
 
   editLink(linkEl, newUrl) {
     if (!linkEl || linkEl.tagName !== 'A') return;
     linkEl.href = newUrl;
-    this._dirty = true;
+    this.syncLinks();
   }
 
   removeLink(linkEl) {
@@ -161,6 +212,12 @@ export class Editor {
     const parent = linkEl.parentNode;
     const text = document.createTextNode(linkEl.textContent);
     parent.replaceChild(text, linkEl);
+    this.syncLinks();
+  }
+
+  // Record links added or changed by direct DOM manipulation
+  syncLinks() {
+    if (this._recorder) this._recorder.sync();
     this._dirty = true;
   }
 
@@ -177,8 +234,8 @@ export class Editor {
       characterCount: this._doc.metadata.characterCount,
       keystrokeCount: this._doc.keystrokeLog.length,
       chainHash: this._doc.chainHash,
-      totalTime: this._doc.metadata.totalTime,
-      formattedTime: formatTime(this._doc.metadata.totalTime),
+      totalTime: this._elapsedTime(),
+      formattedTime: formatTime(this._elapsedTime()),
       lastModified: this._doc.lastModified,
       isDirty: this._dirty,
     };
@@ -188,10 +245,17 @@ export class Editor {
     return this._doc;
   }
 
-  destroy() {
-    if (this._dirty) this.save();
-    if (this._recorder) this._recorder.stop();
+  /**
+   * Stop editing the current document. Unsaved changes are saved first
+   * unless `save` is false (e.g. the document was just deleted). Resolves
+   * once every save of this document has finished, so await it before
+   * creating or loading another one.
+   */
+  async destroy({ save = true } = {}) {
     this._stopAutoSave();
     this._stopSessionTimer();
+    if (save && this._dirty) await this.save();
+    else await this._saving;
+    if (this._recorder) this._recorder.stop();
   }
 }
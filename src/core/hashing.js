@@ -1,6 +1,15 @@
 // SHA-256 hashing and event hash chain for WriteProof
 
-export async function generateContentHash(content) {
+import { sha256Hex } from './sha256.js';
+
+// Hash algorithm identifiers recorded in doc.hashAlgorithm
+export const HASH_SHA256 = 'SHA-256';
+// Non-cryptographic 53-bit hash that older versions silently used in
+// non-secure contexts. Only kept so those documents can still be checked.
+export const HASH_LEGACY = 'legacy-53bit';
+
+export async function generateContentHash(content, algorithm = HASH_SHA256) {
+  if (algorithm === HASH_LEGACY) return legacyHash(content);
   if (typeof crypto !== 'undefined' && crypto.subtle) {
     const encoder = new TextEncoder();
     const data = encoder.encode(content);
@@ -8,8 +17,12 @@ export async function generateContentHash(content) {
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
   }
-  // Fallback for non-secure contexts (HTTP without localhost)
-  // Uses a simple hash — not cryptographically secure, but functional
+  // Non-secure contexts (HTTP without localhost) have no crypto.subtle
+  return sha256Hex(content);
+}
+
+// Kept free of module-level references so it can be embedded elsewhere
+export function legacyHash(content) {
   let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
   for (let i = 0; i < content.length; i++) {
     const ch = content.charCodeAt(i);
@@ -22,45 +35,218 @@ export async function generateContentHash(content) {
   return hash.toString(16).padStart(16, '0');
 }
 
-export async function computeEventHash(prevHash, event) {
-  const data = `${prevHash}|${event.t}|${event.y}|${event.p}|${event.c || ''}`;
-  return generateContentHash(data);
+/**
+ * Work out which algorithm built a document's chain. Files exported before
+ * hashAlgorithm was recorded are told apart by digest length.
+ */
+export function detectHashAlgorithm(doc) {
+  if (doc.hashAlgorithm) return doc.hashAlgorithm;
+  if (doc.chainHash && doc.chainHash.length !== 64) return HASH_LEGACY;
+  return HASH_SHA256;
+}
+
+/**
+ * The string hashed for one link of the event chain. Kept free of
+ * module-level references so it can be embedded elsewhere.
+ */
+export function eventHashInput(prevHash, event) {
+  let data = `${prevHash}|${event.t}|${event.y}|${event.p}|${event.c || ''}`;
+  // Link lengths and the synthetic-input flag are appended only when
+  // present, so events without them hash as they always have
+  if (event.l !== undefined) data += `|${event.l}`;
+  if (event.u) data += '|untrusted';
+  return data;
+}
+
+export async function computeEventHash(prevHash, event, algorithm = HASH_SHA256) {
+  return generateContentHash(eventHashInput(prevHash, event), algorithm);
+}
+
+// Top-level document fields covered by the manifest hash. The keystroke log
+// is covered through chainHash; signature and manifestHash are excluded.
+export const MANIFEST_FIELDS = [
+  'id', 'title', 'createdAt', 'lastModified', 'content', 'links',
+  'chainHash', 'checkpoints', 'metadata',
+];
+
+export function buildManifest(doc) {
+  const manifest = {};
+  for (const field of MANIFEST_FIELDS) {
+    manifest[field] = doc[field] === undefined ? null : doc[field];
+  }
+  return stableStringify(manifest);
+}
+
+export async function computeManifestHash(doc) {
+  return generateContentHash(buildManifest(doc), detectHashAlgorithm(doc));
+}
+
+// JSON.stringify with object keys sorted, so the manifest hash does not
+// depend on property insertion order. Like buildManifest, kept free of
+// module-level references other than MANIFEST_FIELDS so it can be embedded.
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
 }
 
-export async function verifyDocument(doc) {
-  const { insertAt, deleteAt } = await import('../utils/helpers.js');
+// Events between onProgress calls and cancellation checks in verifyDocument
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Replay the log and recompute its hash chain. `onProgress(done, total)`
+ * reports events checked; aborting `signal` rejects with an AbortError.
+ */
+export async function verifyDocument(doc, { onProgress, signal } = {}) {
+  const { insertAt, deleteAt, applyLinkEvent, sameLinks, DEFAULT_TITLE } = await import('../utils/helpers.js');
+  const { verifySignature } = await import('./signing.js');
+
+  const algorithm = detectHashAlgorithm(doc);
+  const legacyHash = algorithm === HASH_LEGACY;
+  const manifestValid = doc.manifestHash ? await computeManifestHash(doc) === doc.manifestHash : null;
 
   if (!doc.keystrokeLog || doc.keystrokeLog.length === 0) {
     return {
-      isValid: !doc.chainHash,
+      isValid: !doc.chainHash && manifestValid !== false,
       chainValid: !doc.chainHash,
       contentValid: doc.content === '',
+      linksValid: !doc.links || doc.links.length === 0,
+      titleValid: null,
+      manifestValid,
+      hashAlgorithm: algorithm,
+      legacyHash,
+      signed: false,
+      signatureValid: null,
+      keyFingerprint: null,
+      firstBrokenSegment: null,
       replayedContent: '',
     };
   }
 
+  const log = doc.keystrokeLog;
+
+  // Chain hashes at signed checkpoints, filled in during replay
+  const hashesAt = new Map();
+  for (const cp of doc.signature?.checkpoints || []) hashesAt.set(cp.i, null);
+
+  // Expected hashes at every known point in the chain (intermediate and
+  // signed checkpoints), used to locate the first segment that diverges
+  const expected = new Map();
+  for (const cp of doc.checkpoints || []) expected.set(cp.i, cp.h);
+  for (const cp of doc.signature?.checkpoints || []) {
+    if (!expected.has(cp.i)) expected.set(cp.i, cp.h);
+  }
+  expected.set(log.length, doc.chainHash);
+
   // Replay all events and recompute hash chain
   let replayContent = '';
+  let replayLinks = [];
+  let replayTitle = DEFAULT_TITLE;
+  let hasLinkEvents = false;
+  let hasTitleEvents = false;
   let prevHash = '0';
+  let count = 0;
+  let lastGoodIndex = 0;
+  let firstBrokenSegment = null;
 
-  for (const event of doc.keystrokeLog) {
+  for (const event of log) {
     if (event.y === 'i' || event.y === 'p') {
       replayContent = insertAt(replayContent, event.p, event.c);
     } else if (event.y === 'd') {
       replayContent = deleteAt(replayContent, event.p, event.c.length);
     }
     // 'm' events don't affect content
+    replayLinks = applyLinkEvent(replayLinks, event);
+    if (event.y === 'k' || event.y === 'e' || event.y === 'r') hasLinkEvents = true;
+    if (event.y === 'n') {
+      replayTitle = event.c;
+      hasTitleEvents = true;
+    }
 
-    prevHash = await computeEventHash(prevHash, event);
+    prevHash = await computeEventHash(prevHash, event, algorithm);
+    count++;
+    if (count % PROGRESS_INTERVAL === 0) {
+      if (signal && signal.aborted) throw new DOMException('Verification cancelled', 'AbortError');
+      if (onProgress) onProgress(count, log.length);
+    }
+    if (hashesAt.has(count)) hashesAt.set(count, prevHash);
+
+    if (!firstBrokenSegment && expected.has(count)) {
+      if (expected.get(count) === prevHash) {
+        lastGoodIndex = count;
+      } else {
+        firstBrokenSegment = describeSegment(log, lastGoodIndex, count, replayContent);
+      }
+    }
   }
 
   const chainValid = prevHash === doc.chainHash;
   const contentValid = replayContent === doc.content;
 
+  // Documents written before links and titles were recorded (no manifest,
+  // no link or title events) can't be checked for them
+  const tracked = !!doc.manifestHash;
+  const linksValid = tracked || hasLinkEvents ? sameLinks(replayLinks, doc.links || []) : null;
+  const titleValid = tracked || hasTitleEvents ? replayTitle === doc.title : null;
+
+  const { signed, signatureValid, keyFingerprint } = await verifySignature(doc, hashesAt);
+
   return {
-    isValid: chainValid && contentValid,
+    isValid: chainValid && contentValid && linksValid !== false && titleValid !== false &&
+      manifestValid !== false && signatureValid !== false,
     chainValid,
     contentValid,
+    linksValid,
+    titleValid,
+    manifestValid,
+    hashAlgorithm: algorithm,
+    legacyHash,
+    signed,
+    signatureValid,
+    keyFingerprint,
+    firstBrokenSegment,
     replayedContent: replayContent,
   };
 }
+
+const SEGMENT_CONTEXT_CHARS = 40;
+
+/**
+ * Describe events [start, end) of a log whose chain hash did not match.
+ * content is the replayed text after the segment.
+ */
+function describeSegment(log, start, end, content) {
+  const first = log[start];
+  const last = log[end - 1];
+
+  // Span of text touched by the segment's content events
+  let from = Infinity;
+  let to = -Infinity;
+  for (let i = start; i < end; i++) {
+    const event = log[i];
+    if (event.y !== 'i' && event.y !== 'p' && event.y !== 'd') continue;
+    const len = event.y === 'd' ? 0 : event.c.length;
+    from = Math.min(from, event.p);
+    to = Math.max(to, event.p + len);
+  }
+  if (from === Infinity) {
+    from = to = Math.min(first.p || 0, content.length);
+  }
+  from = Math.min(from, content.length);
+  to = Math.min(Math.max(to, from), content.length);
+
+  return {
+    startIndex: start,
+    endIndex: end,
+    startTime: first.t,
+    endTime: last.t,
+    textStart: from,
+    textEnd: to,
+    context: content.slice(Math.max(0, from - SEGMENT_CONTEXT_CHARS), to + SEGMENT_CONTEXT_CHARS),
+  };
+}
@@ -1,7 +1,30 @@
 // Keystroke capture and recording for WriteProof
 
-import { computeEventHash } from './hashing.js';
-import { getTextContent, getSelectionOffsets } from '../utils/caret.js';
+import { computeEventHash, detectHashAlgorithm } from './hashing.js';
+import { getTextContent, getSelectionOffsets, extractContentAndLinks } from '../utils/caret.js';
+import { applyLinkEvent, DEFAULT_TITLE } from '../utils/helpers.js';
+import { getMonotonicTimes } from '../features/sessions.js';
+
+// Event types recorded in doc.keystrokeLog (t = ms timestamp, y = type):
+//   i  typed insertion    { p: offset, c: text }
+//   p  pasted insertion   { p: offset, c: text }
+//   d  deletion           { p: offset, c: deleted text }
+//   m  cursor move        { p: offset }
+//   k  link added         { p: start, l: length, c: url }
+//   e  link URL changed   { p: start, l: length, c: new url }
+//   r  link removed       { p: start, l: length, c: url }
+//   n  title changed      { p: 0, c: title }
+//   s  session started    { p: 0, c: wall-clock ISO time }
+//
+// Content events caused by synthetic input events (isTrusted false, e.g.
+// dispatched by a script) also carry u: 1.
+//
+// Timestamps continue from the end of the previous session, so t never
+// decreases within a log written by this version.
+
+// Record an intermediate chain hash every this many events so verification
+// can narrow a broken chain down to one segment of the log
+export const CHECKPOINT_INTERVAL = 100;
 
 const NAV_KEYS = new Set([
   'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
@@ -13,6 +36,8 @@ export class KeystrokeRecorder {
     this._textarea = textarea;
     this._doc = doc;
     this._sessionStart = performance.now();
+    this._timeBase = 0;
+    this._sessionRecorded = false;
     this._prevValue = getTextContent(textarea);
     this._prevSelStart = getSelectionOffsets(textarea).start;
     this._recording = false;
@@ -20,6 +45,10 @@ export class KeystrokeRecorder {
     this._isPaste = false;
     this._hashQueue = Promise.resolve();
     this._prevHash = doc.chainHash || '0';
+    this._hashedCount = doc.keystrokeLog.length;
+    this._links = [];
+    this._title = DEFAULT_TITLE;
+    this._untracked = []; // events adopting legacy state, see _adoptUntrackedState
 
     this._handleInput = this._handleInput.bind(this);
     this._handleBeforeInput = this._handleBeforeInput.bind(this);
@@ -34,6 +63,15 @@ export class KeystrokeRecorder {
     this._prevValue = getTextContent(this._textarea);
     this._prevSelStart = getSelectionOffsets(this._textarea).start;
     this._prevHash = this._doc.chainHash || '0';
+    this._hashedCount = this._doc.keystrokeLog.length;
+    const times = getMonotonicTimes(this._doc.keystrokeLog);
+    this._timeBase = times.length > 0 ? times[times.length - 1] : 0;
+    this._sessionStart = performance.now();
+    this._sessionRecorded = false;
+    if (!this._doc.checkpoints) this._doc.checkpoints = [];
+    // Continue a document's chain with the algorithm that started it
+    this._doc.hashAlgorithm = detectHashAlgorithm(this._doc);
+    this._adoptUntrackedState();
     this._textarea.addEventListener('beforeinput', this._handleBeforeInput);
     this._textarea.addEventListener('input', this._handleInput);
     this._textarea.addEventListener('select', this._handleSelect);
@@ -95,33 +133,36 @@ export class KeystrokeRecorder {
     if (pos === this._prevSelStart) return;
     this._prevSelStart = pos;
 
-    const t = Math.round(performance.now() - this._sessionStart);
-    const event = { t, y: 'm', p: pos };
-    this._doc.keystrokeLog.push(event);
+    this._emit([{ t: this._now(), y: 'm', p: pos }]);
+  }
 
-    this._hashQueue = this._hashQueue.then(async () => {
-      try {
-        this._prevHash = await computeEventHash(this._prevHash, event);
-        this._doc.chainHash = this._prevHash;
-      } catch (err) {
-        console.warn('[WriteProof] Hashing error:', err.message);
-      }
-    });
+  _handleInput(e) {
+    if (!this._recording) return;
 
-    if (this._onKeystroke) {
-      this._onKeystroke([event]);
-    }
+    const isPaste = e.inputType === 'insertFromPaste' || this._isPaste;
+    this._isPaste = false;
+    this._recordChanges(isPaste ? 'p' : 'i', !e.isTrusted);
   }
 
-  _handleInput(e) {
+  /**
+   * Record changes made to the editor outside of input events, e.g. links
+   * inserted, edited or removed through the link dialog and popup.
+   */
+  sync() {
     if (!this._recording) return;
+    this._recordChanges('i');
+  }
 
-    const now = performance.now();
-    const t = Math.round(now - this._sessionStart);
+  recordTitle(title) {
+    if (!this._recording || title === this._title) return;
+    this._title = title;
+    this._emit([{ t: this._now(), y: 'n', p: 0, c: title }]);
+  }
+
+  _recordChanges(insertType, untrusted = false) {
+    const t = this._now();
     const newValue = getTextContent(this._textarea);
     const prevValue = this._prevValue;
-    const isPaste = e.inputType === 'insertFromPaste' || this._isPaste;
-    this._isPaste = false;
 
     // --- Update state immediately ---
 
@@ -131,46 +172,69 @@ export class KeystrokeRecorder {
     this._prevSelStart = updatedOffsets.start;
     this._prevSelEnd = updatedOffsets.end;
 
-    // Skip no-op events (e.g., pressing Delete at end of text)
-    if (newValue === prevValue) return;
+    // No-op input (e.g., pressing Delete at end of text) yields no events
+    const events = diffText(prevValue, newValue, t, insertType);
+    if (untrusted) {
+      for (const evt of events) evt.u = 1;
+    }
+    events.push(...this._reconcileLinks(t, events));
 
-    // --- Compute diff via common prefix/suffix ---
-    // This is more robust than inputType-based branching because it
-    // correctly handles autocorrect, spellcheck, undo/redo, IME,
-    // and browser-specific edge cases.
+    if (events.length === 0) return;
+    this._emit(events);
+  }
 
-    let prefixLen = 0;
-    const minLen = Math.min(prevValue.length, newValue.length);
-    while (prefixLen < minLen && prevValue[prefixLen] === newValue[prefixLen]) {
-      prefixLen++;
+  // Shift tracked links by the content events, then record whatever it
+  // takes to bring them in line with the links actually in the editor
+  _reconcileLinks(t, contentEvents) {
+    for (const evt of contentEvents) {
+      this._links = applyLinkEvent(this._links, evt);
     }
+    if (this._links.length === 0 && !this._textarea.querySelector('a')) return [];
 
-    let suffixLen = 0;
-    const maxSuffix = minLen - prefixLen;
-    while (suffixLen < maxSuffix &&
-           prevValue[prevValue.length - 1 - suffixLen] === newValue[newValue.length - 1 - suffixLen]) {
-      suffixLen++;
+    const { links } = extractContentAndLinks(this._textarea);
+    const events = diffLinks(this._links, links, t);
+    for (const evt of events) {
+      this._links = applyLinkEvent(this._links, evt);
     }
+    this._doc.links = this._links;
+    return events;
+  }
 
-    const deletedText = prevValue.slice(prefixLen, prevValue.length - suffixLen);
-    const insertedText = newValue.slice(prefixLen, newValue.length - suffixLen);
-
-    let events = [];
-
-    if (deletedText) {
-      events.push({ t, y: 'd', p: prefixLen, c: deletedText });
+  // Documents saved before links and titles were recorded carry state the
+  // log cannot reproduce. Record it once so the chain covers it from here
+  // on, but only with the first real edit: opening a document must not
+  // change its chain.
+  _adoptUntrackedState() {
+    let links = [];
+    let title = DEFAULT_TITLE;
+    for (const evt of this._doc.keystrokeLog) {
+      links = applyLinkEvent(links, evt);
+      if (evt.y === 'n') title = evt.c;
     }
+    this._links = links;
+    this._title = title;
 
-    if (insertedText) {
-      events.push({
-        t,
-        y: isPaste ? 'p' : 'i',
-        p: prefixLen,
-        c: insertedText,
-      });
+    // Timestamps are filled in when the events are emitted
+    const events = diffLinks(links, this._doc.links || [], 0);
+    for (const evt of events) {
+      this._links = applyLinkEvent(this._links, evt);
+    }
+    if (this._doc.title !== title) {
+      this._title = this._doc.title;
+      events.push({ t: 0, y: 'n', p: 0, c: this._doc.title });
     }
+    this._untracked = events;
+  }
 
-    if (events.length === 0) return;
+  _emit(events) {
+    // Open the session lazily, so merely viewing a document records nothing
+    if (!this._sessionRecorded) {
+      this._sessionRecorded = true;
+      const t = events[0].t;
+      const adopted = this._untracked.map((evt) => ({ ...evt, t }));
+      this._untracked = [];
+      events = [{ t, y: 's', p: 0, c: new Date().toISOString() }, ...adopted, ...events];
+    }
 
     // Push events to log synchronously so keystroke count is always current
     for (const evt of events) {
@@ -182,13 +246,24 @@ export class KeystrokeRecorder {
       this._onKeystroke(events);
     }
 
-    // --- Queue async chain hashing (serialized) ---
+    this._queueHash(events);
+  }
+
+  _now() {
+    return this._timeBase + Math.round(performance.now() - this._sessionStart);
+  }
 
+  // Queue async chain hashing (serialized)
+  _queueHash(events) {
     const batch = events.slice();
     this._hashQueue = this._hashQueue.then(async () => {
       try {
         for (const evt of batch) {
-          this._prevHash = await computeEventHash(this._prevHash, evt);
+          this._prevHash = await computeEventHash(this._prevHash, evt, this._doc.hashAlgorithm);
+          this._hashedCount++;
+          if (this._hashedCount % CHECKPOINT_INTERVAL === 0) {
+            this._doc.checkpoints.push({ i: this._hashedCount, h: this._prevHash });
+          }
         }
         this._doc.chainHash = this._prevHash;
       } catch (err) {
@@ -209,3 +284,64 @@ export class KeystrokeRecorder {
     return performance.now() - this._sessionStart;
   }
 }
+
+/**
+ * Compute insert/delete events between two versions of the text via common
+ * prefix/suffix. This is more robust than inputType-based branching because
+ * it correctly handles autocorrect, spellcheck, undo/redo, IME, and
+ * browser-specific edge cases.
+ */
+function diffText(prevValue, newValue, t, insertType) {
+  if (newValue === prevValue) return [];
+
+  let prefixLen = 0;
+  const minLen = Math.min(prevValue.length, newValue.length);
+  while (prefixLen < minLen && prevValue[prefixLen] === newValue[prefixLen]) {
+    prefixLen++;
+  }
+
+  let suffixLen = 0;
+  const maxSuffix = minLen - prefixLen;
+  while (suffixLen < maxSuffix &&
+         prevValue[prevValue.length - 1 - suffixLen] === newValue[newValue.length - 1 - suffixLen]) {
+    suffixLen++;
+  }
+
+  const deletedText = prevValue.slice(prefixLen, prevValue.length - suffixLen);
+  const insertedText = newValue.slice(prefixLen, newValue.length - suffixLen);
+
+  const events = [];
+  if (deletedText) {
+    events.push({ t, y: 'd', p: prefixLen, c: deletedText });
+  }
+  if (insertedText) {
+    events.push({ t, y: insertType, p: prefixLen, c: insertedText });
+  }
+  return events;
+}
+
+/**
+ * Link events ('r', 'e', 'k') that turn the `current` link list into `target`.
+ */
+function diffLinks(current, target, t) {
+  const rangeKey = (link) => `${link.start}:${link.end}`;
+  const targetByRange = new Map(target.map((link) => [rangeKey(link), link]));
+  const currentRanges = new Set(current.map(rangeKey));
+  const events = [];
+
+  for (const link of current) {
+    const next = targetByRange.get(rangeKey(link));
+    const l = link.end - link.start;
+    if (!next) {
+      events.push({ t, y: 'r', p: link.start, l, c: link.url });
+    } else if (next.url !== link.url) {
+      events.push({ t, y: 'e', p: link.start, l, c: next.url });
+    }
+  }
+  for (const link of target) {
+    if (!currentRanges.has(rangeKey(link))) {
+      events.push({ t, y: 'k', p: link.start, l: link.end - link.start, c: link.url });
+    }
+  }
+  return events;
+}
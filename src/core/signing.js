@@ -0,0 +1,245 @@
+// Per-device ECDSA signing of the hash chain for WriteProof
+
+const DB_NAME = 'writeproof_keys';
+const STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+const KEY_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+export const SIGNATURE_ALGORITHM = 'ECDSA-P256-SHA256';
+
+// Minimum number of events between retained signed checkpoints. The most
+// recent checkpoint is re-signed on every save until the chain has grown
+// this far past the previous one.
+const SIGNED_CHECKPOINT_INTERVAL = 500;
+
+let deviceKeyPromise = null;
+
+export function isSigningAvailable() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle && typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Get this browser's signing key, generating it on first use.
+ * The private key is non-extractable and never leaves IndexedDB.
+ * Returns { privateKey, publicKey (JWK), fingerprint }.
+ */
+export function getDeviceKey() {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = loadOrCreateDeviceKey().catch((err) => {
+      deviceKeyPromise = null;
+      throw err;
+    });
+  }
+  return deviceKeyPromise;
+}
+
+async function loadOrCreateDeviceKey() {
+  const db = await openKeyDatabase();
+  try {
+    const existing = await keyStoreRequest(db, 'readonly', (store) => store.get(DEVICE_KEY_ID));
+    if (existing) return existing;
+
+    const pair = await crypto.subtle.generateKey(KEY_PARAMS, false, ['sign', 'verify']);
+    const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    const publicKey = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+    const record = {
+      privateKey: pair.privateKey,
+      publicKey,
+      fingerprint: await computeKeyFingerprint(publicKey),
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      await keyStoreRequest(db, 'readwrite', (store) => store.add(record, DEVICE_KEY_ID));
+      return record;
+    } catch {
+      // Another tab created the key first — use that one
+      return keyStoreRequest(db, 'readonly', (store) => store.get(DEVICE_KEY_ID));
+    }
+  } finally {
+    db.close();
+  }
+}
+
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function keyStoreRequest(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * RFC 7638 JWK thumbprint (SHA-256, hex) of an EC public key.
+ */
+export async function computeKeyFingerprint(publicKey) {
+  const canonical = `{"crv":"${publicKey.crv}","kty":"${publicKey.kty}","x":"${publicKey.x}","y":"${publicKey.y}"}`;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Short, human-comparable form of a key fingerprint, e.g. "3f2a 91c0 7be4 d015".
+ */
+export function formatFingerprint(fingerprint) {
+  if (!fingerprint) return '';
+  return fingerprint.slice(0, 16).match(/.{4}/g).join(' ');
+}
+
+function checkpointPayload(index, hash) {
+  return new TextEncoder().encode(`writeproof-checkpoint|${index}|${hash}`);
+}
+
+function manifestPayload(hash) {
+  return new TextEncoder().encode(`writeproof-manifest|${hash}`);
+}
+
+function ensureSignatureBlock(doc) {
+  if (!doc.signature) {
+    doc.signature = { algorithm: SIGNATURE_ALGORITHM, keys: {}, checkpoints: [] };
+  }
+  return doc.signature;
+}
+
+/**
+ * Sign the chain head { i, h } with the device key and record it in
+ * doc.signature. Call only with a head whose hash covers exactly i events.
+ * Returns true if a new signature was added.
+ */
+export async function signChain(doc, head) {
+  if (!isSigningAvailable() || !head.h) return false;
+
+  const key = await getDeviceKey();
+  const { keys, checkpoints } = ensureSignatureBlock(doc);
+
+  const last = checkpoints[checkpoints.length - 1];
+  if (last && last.i === head.i && last.h === head.h && last.k === key.fingerprint) {
+    return false;
+  }
+
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, key.privateKey, checkpointPayload(head.i, head.h));
+  const checkpoint = { i: head.i, h: head.h, k: key.fingerprint, s: toBase64Url(signature) };
+  keys[key.fingerprint] = key.publicKey;
+
+  // Keep checkpoints roughly SIGNED_CHECKPOINT_INTERVAL events apart by
+  // replacing the trailing one while the chain is still close to its predecessor
+  const prev = checkpoints[checkpoints.length - 2];
+  const replaceLast = last && last.k === key.fingerprint && last.i < head.i &&
+    head.i - (prev ? prev.i : 0) <= SIGNED_CHECKPOINT_INTERVAL;
+
+  if (replaceLast) {
+    checkpoints[checkpoints.length - 1] = checkpoint;
+  } else {
+    checkpoints.push(checkpoint);
+  }
+  return true;
+}
+
+/**
+ * Sign doc.manifestHash, which binds the title, links, timestamps and
+ * metadata that the event chain alone does not cover.
+ */
+export async function signManifest(doc) {
+  if (!isSigningAvailable() || !doc.manifestHash) return false;
+
+  const key = await getDeviceKey();
+  const block = ensureSignatureBlock(doc);
+  if (block.manifest && block.manifest.h === doc.manifestHash && block.manifest.k === key.fingerprint) {
+    return false;
+  }
+
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, key.privateKey, manifestPayload(doc.manifestHash));
+  block.keys[key.fingerprint] = key.publicKey;
+  block.manifest = { h: doc.manifestHash, k: key.fingerprint, s: toBase64Url(signature) };
+  return true;
+}
+
+/**
+ * Verify doc.signature against hashes recomputed during chain replay.
+ * hashesAt maps event count → recomputed chain hash at that point.
+ * Returns { signed, signatureValid, keyFingerprint, signedEvents }, where
+ * signatureValid is null when the document is unsigned or WebCrypto is missing.
+ */
+export async function verifySignature(doc, hashesAt) {
+  const checkpoints = doc.signature?.checkpoints || [];
+  if (checkpoints.length === 0) {
+    return { signed: false, signatureValid: null, keyFingerprint: null, signedEvents: 0 };
+  }
+
+  const final = checkpoints[checkpoints.length - 1];
+  const result = {
+    signed: true,
+    signatureValid: null,
+    keyFingerprint: final.k,
+    signedEvents: final.i,
+  };
+  if (typeof crypto === 'undefined' || !crypto.subtle) return result;
+
+  const keys = doc.signature.keys || {};
+  const imported = new Map();
+  const importKey = async (fingerprint) => {
+    if (!imported.has(fingerprint)) {
+      const jwk = keys[fingerprint];
+      let publicKey = null;
+      if (jwk && await computeKeyFingerprint(jwk) === fingerprint) {
+        try {
+          publicKey = await crypto.subtle.importKey('jwk', { ...jwk, ext: true }, KEY_PARAMS, true, ['verify']);
+        } catch {
+          publicKey = null;
+        }
+      }
+      imported.set(fingerprint, publicKey);
+    }
+    return imported.get(fingerprint);
+  };
+  const verifyPayload = async (fingerprint, sig, payload) => {
+    const publicKey = await importKey(fingerprint);
+    if (!publicKey) return false;
+    try {
+      return await crypto.subtle.verify(SIGN_PARAMS, publicKey, fromBase64Url(sig), payload);
+    } catch {
+      return false;
+    }
+  };
+
+  let valid = final.i === doc.keystrokeLog.length && final.h === doc.chainHash;
+  for (const cp of checkpoints) {
+    if (!valid) break;
+    valid = hashesAt.get(cp.i) === cp.h && await verifyPayload(cp.k, cp.s, checkpointPayload(cp.i, cp.h));
+  }
+
+  const manifest = doc.signature.manifest;
+  if (valid && manifest) {
+    valid = manifest.h === doc.manifestHash && await verifyPayload(manifest.k, manifest.s, manifestPayload(manifest.h));
+  }
+
+  result.signatureValid = valid;
+  return result;
+}
+
+function toBase64Url(buffer) {
+  let binary = '';
+  for (const b of new Uint8Array(buffer)) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
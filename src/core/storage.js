@@ -1,56 +1,204 @@
-// localStorage persistence for WriteProof documents
+// IndexedDB persistence for WriteProof documents
+//
+// Documents and their keystroke logs live in separate object stores so a
+// save only appends the events recorded since the last one, instead of
+// rewriting every document.
+//   documents  { ...doc without keystrokeLog, eventCount }, keyed by id
+//   events     one keystroke event per record, keyed by [docId, index]
+//   annotations  reviewer bookmarks and notes { id, docId, index, note, ... },
+//                keyed by id and indexed by docId
 
-const STORAGE_KEY = 'writeproof_docs';
-const SCHEMA_VERSION = 1;
+const DB_NAME = 'writeproof';
+const SCHEMA_VERSION = 3;
 
-function getStore() {
+// Schema version 1 kept everything as one JSON blob in localStorage
+const LEGACY_STORAGE_KEY = 'writeproof_docs';
+
+// Each migration upgrades the database from the previous version and runs
+// inside the versionchange transaction. Add new versions at the end.
+const MIGRATIONS = {
+  2(db, tx) {
+    db.createObjectStore('documents', { keyPath: 'id' });
+    db.createObjectStore('events');
+    return importLegacyStore(tx);
+  },
+  3(db) {
+    const annotations = db.createObjectStore('annotations', { keyPath: 'id' });
+    annotations.createIndex('docId', 'docId');
+  },
+};
+
+let dbPromise = null;
+
+// Number of events of each loaded or saved document object already in the
+// events store. Documents not in here get their log rewritten in full.
+const persistedCounts = new WeakMap();
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+    let importedLegacy = false;
+
+    request.onupgradeneeded = (e) => {
+      const db = request.result;
+      const tx = request.transaction;
+      for (let v = e.oldVersion + 1; v <= SCHEMA_VERSION; v++) {
+        if (MIGRATIONS[v] && MIGRATIONS[v](db, tx)) importedLegacy = true;
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      if (importedLegacy) localStorage.removeItem(LEGACY_STORAGE_KEY);
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(storageError(request.error));
+    };
+    request.onblocked = () => {
+      console.warn('[WriteProof] Storage upgrade is waiting for other WriteProof tabs to close');
+    };
+  });
+  return dbPromise;
+}
+
+// Copy schema version 1 documents out of localStorage. Returns true if any
+// were found; the localStorage copy is removed once the upgrade commits.
+function importLegacyStore(tx) {
+  let store;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return { version: SCHEMA_VERSION, documents: {} };
-    const store = JSON.parse(raw);
-    if (store.version !== SCHEMA_VERSION) {
-      // Future: handle migrations
-      return { version: SCHEMA_VERSION, documents: store.documents || {} };
-    }
-    return store;
+    const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+    store = raw ? JSON.parse(raw) : null;
   } catch {
-    return { version: SCHEMA_VERSION, documents: {} };
+    store = null;
   }
+  if (!store || !store.documents) return false;
+
+  for (const doc of Object.values(store.documents)) {
+    if (!doc || !doc.id) continue;
+    writeDocument(tx, doc, 0, true);
+  }
+  return true;
 }
 
-function setStore(store) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
-    return true;
-  } catch (e) {
-    if (e.name === 'QuotaExceededError') {
-      console.error('localStorage quota exceeded');
-      return false;
-    }
-    throw e;
+function eventRange(id) {
+  return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+// Queue the writes for a document on an open transaction. Events before
+// `from` are assumed to be stored already.
+function writeDocument(tx, doc, from, replace) {
+  const log = doc.keystrokeLog || [];
+  const { keystrokeLog, ...record } = doc;
+  record.eventCount = log.length;
+
+  const events = tx.objectStore('events');
+  if (replace) events.delete(eventRange(doc.id));
+  for (let i = from; i < log.length; i++) {
+    events.put(log[i], [doc.id, i]);
   }
+  tx.objectStore('documents').put(record);
 }
 
-export function saveDocument(doc) {
-  const store = getStore();
-  store.documents[doc.id] = doc;
-  return setStore(store);
+function storageError(err) {
+  if (err && err.name === 'QuotaExceededError') {
+    return new Error('Browser storage is full. Export your documents and delete ones you no longer need.');
+  }
+  return new Error(`Could not access browser storage: ${err ? err.message : 'unknown error'}`);
 }
 
-export function loadDocument(id) {
-  const store = getStore();
-  return store.documents[id] || null;
+function transaction(db, stores, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    const result = fn(tx);
+    tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+    tx.onerror = () => reject(storageError(tx.error));
+    tx.onabort = () => reject(storageError(tx.error));
+  });
 }
 
-export function deleteDocument(id) {
-  const store = getStore();
-  delete store.documents[id];
-  return setStore(store);
+export async function saveDocument(doc) {
+  const db = await openDatabase();
+  const count = doc.keystrokeLog ? doc.keystrokeLog.length : 0;
+  const persisted = persistedCounts.get(doc);
+  const replace = persisted === undefined || persisted > count;
+
+  await transaction(db, ['documents', 'events'], 'readwrite', (tx) => {
+    writeDocument(tx, doc, replace ? 0 : persisted, replace);
+  });
+  persistedCounts.set(doc, count);
+  return true;
+}
+
+export async function loadDocument(id) {
+  const db = await openDatabase();
+  let record = null;
+  let events = [];
+  await transaction(db, ['documents', 'events'], 'readonly', (tx) => {
+    const docRequest = tx.objectStore('documents').get(id);
+    const eventsRequest = tx.objectStore('events').getAll(eventRange(id));
+    docRequest.onsuccess = () => { record = docRequest.result || null; };
+    eventsRequest.onsuccess = () => { events = eventsRequest.result; };
+  });
+  if (!record) return null;
+
+  const { eventCount, ...doc } = record;
+  doc.keystrokeLog = events;
+  persistedCounts.set(doc, events.length);
+  return doc;
 }
 
-export function listDocuments() {
-  const store = getStore();
-  return Object.values(store.documents)
+export async function deleteDocument(id) {
+  const db = await openDatabase();
+  await transaction(db, ['documents', 'events', 'annotations'], 'readwrite', (tx) => {
+    tx.objectStore('documents').delete(id);
+    tx.objectStore('events').delete(eventRange(id));
+    const annotations = tx.objectStore('annotations');
+    annotations.index('docId').getAllKeys(id).onsuccess = (e) => {
+      for (const key of e.target.result) annotations.delete(key);
+    };
+  });
+  return true;
+}
+
+/**
+ * Reviewer annotations for a document, in replay order. Annotations are
+ * keyed by document id, so they can be kept for imported documents that
+ * were never saved here.
+ */
+export async function listAnnotations(docId) {
+  const db = await openDatabase();
+  const records = await transaction(db, 'annotations', 'readonly', (tx) =>
+    tx.objectStore('annotations').index('docId').getAll(docId));
+  return records.sort((a, b) => a.index - b.index || a.createdAt.localeCompare(b.createdAt));
+}
+
+export async function saveAnnotation(annotation) {
+  const db = await openDatabase();
+  await transaction(db, 'annotations', 'readwrite', (tx) => {
+    tx.objectStore('annotations').put(annotation);
+  });
+  return true;
+}
+
+export async function deleteAnnotation(id) {
+  const db = await openDatabase();
+  await transaction(db, 'annotations', 'readwrite', (tx) => {
+    tx.objectStore('annotations').delete(id);
+  });
+  return true;
+}
+
+export async function listDocuments() {
+  const db = await openDatabase();
+  const records = await transaction(db, 'documents', 'readonly', (tx) => tx.objectStore('documents').getAll());
+  return records
     .map((doc) => ({
       id: doc.id,
       title: doc.title,
@@ -58,14 +206,17 @@ export function listDocuments() {
       lastModified: doc.lastModified,
       wordCount: doc.metadata?.wordCount || 0,
       characterCount: doc.metadata?.characterCount || 0,
-      keystrokeCount: doc.keystrokeLog?.length || 0,
+      keystrokeCount: doc.eventCount || 0,
     }))
     .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
 }
 
-export function getStorageUsage() {
-  const raw = localStorage.getItem(STORAGE_KEY) || '';
-  const bytes = new Blob([raw]).size;
+export async function getStorageUsage() {
+  let bytes = 0;
+  if (navigator.storage && navigator.storage.estimate) {
+    const estimate = await navigator.storage.estimate();
+    bytes = estimate.usage || 0;
+  }
   return { bytes, formatted: formatBytes(bytes) };
 }
 
@@ -1,5 +1,8 @@
 // Writing profile analysis for WriteProof
 
+import { getMonotonicTimes, getSessions, getSessionStarts } from './sessions.js';
+import { detectAutomation } from './automation.js';
+
 export function analyzeWritingProfile(doc) {
   const keystrokes = doc.keystrokeLog;
 
@@ -7,7 +10,7 @@ export function analyzeWritingProfile(doc) {
     return null;
   }
 
-  const contentEvents = keystrokes.filter((k) => k.y !== 'm');
+  const contentEvents = keystrokes.filter((k) => k.y === 'i' || k.y === 'd' || k.y === 'p');
   const insertions = keystrokes.filter((k) => k.y === 'i');
   const deletions = keystrokes.filter((k) => k.y === 'd');
   const pastes = keystrokes.filter((k) => k.y === 'p');
@@ -42,15 +45,20 @@ export function analyzeWritingProfile(doc) {
       farEdits++;
     }
   }
+  // Null rather than 0/100 when there is no pair of edits to compare
   const totalEditMoves = nearEdits + farEdits;
   const localEditPercent = totalEditMoves > 0
     ? Math.round((nearEdits / totalEditMoves) * 100)
-    : 0;
+    : null;
 
   // --- Timing Profile ---
+  // Time between sessions is not a pause, so intervals stop at session starts
+  const times = getMonotonicTimes(keystrokes);
+  const sessionStarts = getSessionStarts(keystrokes);
   const intervals = [];
   for (let i = 1; i < keystrokes.length; i++) {
-    const interval = keystrokes[i].t - keystrokes[i - 1].t;
+    if (sessionStarts[i]) continue;
+    const interval = times[i] - times[i - 1];
     if (interval > 0) {
       intervals.push(interval);
     }
@@ -59,6 +67,7 @@ export function analyzeWritingProfile(doc) {
   let medianInterval = 0;
   let longestPause = 0;
   let pausesOver30s = 0;
+  let intervalCV = 0;
 
   if (intervals.length > 0) {
     const sorted = intervals.slice().sort((a, b) => a - b);
@@ -73,11 +82,26 @@ export function analyzeWritingProfile(doc) {
     for (const interval of intervals) {
       if (interval > 30000) pausesOver30s++;
     }
+
+    // Coefficient of variation: spread of the rhythm relative to its average
+    const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+    const variance = intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / intervals.length;
+    intervalCV = mean > 0 ? Math.round((Math.sqrt(variance) / mean) * 100) / 100 : 0;
   }
 
+  // --- Sessions ---
+  const sessions = getSessions(keystrokes, times);
+  const durations = sessions.map((s) => s.endTime - s.startTime);
+  const activeTime = durations.reduce((sum, d) => sum + d, 0);
+  const dated = sessions.filter((s) => s.startedAt);
+
+  // --- Automation ---
+  const automation = detectAutomation(keystrokes);
+
   return {
     composition: {
       totalKeystrokes,
+      contentEvents: contentEvents.length,
       wordCount: doc.metadata?.wordCount || 0,
       characterCount: totalChars,
       insertions: insertionCount,
@@ -93,12 +117,25 @@ export function analyzeWritingProfile(doc) {
     editing: {
       deletionRatio,
       localEditPercent,
-      farEditPercent: 100 - localEditPercent,
+      farEditPercent: localEditPercent === null ? null : 100 - localEditPercent,
     },
     timing: {
       medianIntervalMs: medianInterval,
       longestPauseMs: longestPause,
       pausesOver30s,
+      intervalCV,
+    },
+    sessions: {
+      count: sessions.length,
+      activeTimeMs: Math.round(activeTime),
+      longestSessionMs: Math.round(Math.max(...durations)),
+      firstStartedAt: dated.length > 0 ? dated[0].startedAt : null,
+      lastStartedAt: dated.length > 0 ? dated[dated.length - 1].startedAt : null,
+    },
+    automation: {
+      ranges: automation.ranges,
+      flaggedChars: automation.ranges.reduce((sum, r) => sum + r.chars, 0),
+      untrustedEvents: automation.untrustedEvents,
     },
   };
 }
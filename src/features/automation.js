@@ -0,0 +1,179 @@
+// Detection of scripted or auto-typed input in WriteProof keystroke logs
+//
+// A macro that "types" prepared text produces ordinary 'i' events, but its
+// cadence gives it away: near-constant intervals, no hesitation before new
+// words or sentences, whole sessions without a correction, or speeds no
+// person sustains. Input events the browser marks as synthetic (isTrusted
+// false) are recorded with u: 1 and flagged directly.
+
+import { getMonotonicTimes, getSessionStarts, getSessions, findSession } from './sessions.js';
+
+export const DEFAULT_AUTOMATION_CONFIG = {
+  windowSize: 40,           // consecutive typed events judged together
+  maxIntervalCV: 0.2,       // human typing rhythm varies far more than this
+  maxBoundaryRatio: 1.3,    // pause before a new word vs. within a word
+  maxMedianInterval: 25,    // ms; faster than anyone types for a whole window
+  minUncorrectedChars: 150, // flagged stretches this long in a session with no correction
+};
+
+export const AUTOMATION_REASONS = {
+  'uniform-timing': 'Near-constant time between keystrokes',
+  'no-boundary-pauses': 'No hesitation before new words or sentences',
+  'too-fast': 'Sustained typing faster than a person can type',
+  'no-corrections': 'Long stretch in a writing session without a single correction',
+  'untrusted': 'Input generated by a script rather than the keyboard',
+};
+
+const BOUNDARY = /[\s.,;:!?)\]"'—-]$/;
+
+/**
+ * Scan a keystroke log for machine-like input. Returns
+ * { ranges: [{ startIndex, endIndex (exclusive), startTime, endTime, chars, reasons }],
+ *   untrustedEvents }, with times from getMonotonicTimes.
+ */
+export function detectAutomation(log, config = DEFAULT_AUTOMATION_CONFIG) {
+  const times = getMonotonicTimes(log);
+  const ranges = [...findCadenceRanges(log, times, config), ...findUntrustedRanges(log)];
+  const merged = mergeRanges(ranges);
+  const sessions = getSessions(log, times);
+  const deletionsBefore = countDeletions(log);
+
+  for (const range of merged) {
+    range.startTime = times[range.startIndex];
+    range.endTime = times[range.endIndex - 1];
+    range.chars = 0;
+    for (let i = range.startIndex; i < range.endIndex; i++) {
+      if (log[i].y === 'i' || log[i].y === 'p') range.chars += log[i].c.length;
+    }
+    // Cadence ranges never contain a deletion, since one ends the typed run,
+    // so look for corrections across the sessions the stretch belongs to
+    const from = findSession(sessions, range.startIndex).startIndex;
+    const to = findSession(sessions, range.endIndex - 1).endIndex;
+    if (range.chars >= config.minUncorrectedChars && deletionsBefore[to] === deletionsBefore[from]) {
+      range.reasons.push('no-corrections');
+    }
+  }
+
+  return {
+    ranges: merged,
+    untrustedEvents: log.reduce((n, e) => n + (e.u ? 1 : 0), 0),
+  };
+}
+
+// Runs of consecutive typed insertions within one session, so a deletion,
+// paste, cursor move or new session ends the run
+function typedRuns(log) {
+  const sessionStarts = getSessionStarts(log);
+  const runs = [];
+  let run = null;
+  for (let i = 0; i < log.length; i++) {
+    if (log[i].y !== 'i' || sessionStarts[i]) {
+      run = null;
+      if (log[i].y !== 'i') continue;
+    }
+    if (!run) {
+      run = [];
+      runs.push(run);
+    }
+    run.push(i);
+  }
+  return runs;
+}
+
+function findCadenceRanges(log, times, config) {
+  const size = config.windowSize;
+  const ranges = [];
+
+  for (const run of typedRuns(log)) {
+    if (run.length < size) continue;
+
+    for (let w = 0; w + size <= run.length; w++) {
+      const reasons = judgeWindow(log, times, run, w, size, config);
+      if (reasons.length === 0) continue;
+      ranges.push({ startIndex: run[w], endIndex: run[w + size - 1] + 1, reasons });
+    }
+  }
+  return ranges;
+}
+
+function judgeWindow(log, times, run, from, size, config) {
+  const intervals = [];
+  let boundarySum = 0;
+  let boundaryCount = 0;
+  let wordSum = 0;
+  let wordCount = 0;
+
+  for (let k = from + 1; k < from + size; k++) {
+    const interval = times[run[k]] - times[run[k - 1]];
+    intervals.push(interval);
+    if (BOUNDARY.test(log[run[k - 1]].c)) {
+      boundarySum += interval;
+      boundaryCount++;
+    } else {
+      wordSum += interval;
+      wordCount++;
+    }
+  }
+
+  const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+  const variance = intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / intervals.length;
+  const cv = mean > 0 ? Math.sqrt(variance) / mean : 0;
+  const sorted = intervals.slice().sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  const reasons = [];
+  if (median < config.maxMedianInterval) reasons.push('too-fast');
+
+  // Even timing alone happens in short human bursts; require that it also
+  // ignores word boundaries, where people reliably slow down
+  const wordMean = wordCount > 0 ? wordSum / wordCount : 0;
+  const boundaryRatio = boundaryCount >= 3 && wordMean > 0 ? (boundarySum / boundaryCount) / wordMean : null;
+  if (cv <= config.maxIntervalCV && boundaryRatio !== null && boundaryRatio <= config.maxBoundaryRatio) {
+    reasons.push('uniform-timing', 'no-boundary-pauses');
+  }
+  return reasons;
+}
+
+function findUntrustedRanges(log) {
+  const ranges = [];
+  let range = null;
+  for (let i = 0; i < log.length; i++) {
+    if (!log[i].u) {
+      range = null;
+      continue;
+    }
+    if (!range) {
+      range = { startIndex: i, endIndex: i + 1, reasons: ['untrusted'] };
+      ranges.push(range);
+    } else {
+      range.endIndex = i + 1;
+    }
+  }
+  return ranges;
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.startIndex - b.startIndex);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.startIndex <= last.endIndex) {
+      last.endIndex = Math.max(last.endIndex, range.endIndex);
+      for (const reason of range.reasons) {
+        if (!last.reasons.includes(reason)) last.reasons.push(reason);
+      }
+    } else {
+      merged.push({ startIndex: range.startIndex, endIndex: range.endIndex, reasons: range.reasons.slice() });
+    }
+  }
+  return merged;
+}
+
+// Number of deletions before each index, with one extra entry for the end
+function countDeletions(log) {
+  const out = new Uint32Array(log.length + 1);
+  for (let i = 0; i < log.length; i++) {
+    out[i + 1] = out[i] + (log[i].y === 'd' ? 1 : 0);
+  }
+  return out;
+}
@@ -0,0 +1,85 @@
+// Import, verification and snapshot building in a Web Worker
+//
+// Large logs take long enough to parse, hash and replay that doing it on the
+// main thread freezes the page. Each call here starts a worker running
+// document-worker.js and ends it when done, so aborting the signal stops the
+// work at once. Results are the same as from importFromJSON, verifyDocument
+// and buildSnapshots, which run on the main thread where module workers are
+// not available.
+//
+// Options for every call: `onProgress(fraction, phase)`, with phase 'read',
+// 'index' or 'verify', and `signal` to cancel (rejects with an AbortError).
+
+import { verifyDocument } from '../core/hashing.js';
+import { importFromJSON } from './export.js';
+import { buildSnapshots } from './replay.js';
+
+const WORKER_URL = new URL('./document-worker.js', import.meta.url);
+
+/**
+ * Read a .writeproof.json or .json.gz File. Resolves to { doc, snapshots },
+ * where snapshots can be passed to ReplayEngine.
+ */
+export function importInBackground(file, options = {}) {
+  return runTask('import', { file }, options, async () => {
+    const doc = await importFromJSON(file);
+    return { doc, snapshots: buildSnapshots(doc.keystrokeLog) };
+  });
+}
+
+/**
+ * verifyDocument(doc) in a worker.
+ */
+export function verifyInBackground(doc, options = {}) {
+  return runTask('verify', { doc }, options, () => verifyDocument(doc, {
+    signal: options.signal,
+    onProgress: options.onProgress && ((done, total) => options.onProgress(done / total, 'verify')),
+  }));
+}
+
+/**
+ * buildSnapshots(log) in a worker.
+ */
+export function buildSnapshotsInBackground(log, options = {}) {
+  return runTask('snapshots', { log }, options, async () => buildSnapshots(log));
+}
+
+function runTask(task, args, { onProgress, signal }, fallback) {
+  if (signal && signal.aborted) return Promise.reject(cancelled());
+  if (typeof Worker === 'undefined') return fallback();
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_URL, { type: 'module' });
+    const abort = () => {
+      finish();
+      reject(cancelled());
+    };
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', abort);
+    };
+
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.fraction, data.phase);
+        return;
+      }
+      finish();
+      if (data.type === 'result') resolve(data.result);
+      else reject(new Error(data.message));
+    });
+    // The script didn't load, e.g. a browser without module workers
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      finish();
+      fallback().then(resolve, reject);
+    });
+    if (signal) signal.addEventListener('abort', abort);
+
+    worker.postMessage({ task, ...args });
+  });
+}
+
+function cancelled() {
+  return new DOMException('Cancelled', 'AbortError');
+}
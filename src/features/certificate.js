@@ -0,0 +1,305 @@
+// One-page PDF authorship certificate, with an optional appendix showing
+// the final text shaded by where it came from
+
+import { PDFBuilder } from '../utils/pdf.js';
+import { encodeQR } from '../utils/qrcode.js';
+import { analyzeWritingProfile } from './analytics.js';
+import { computeAuthenticityScore } from './scoring.js';
+import { buildProvenance } from './replay.js';
+import { detectHashAlgorithm } from '../core/hashing.js';
+import { countWords, formatNumber, formatTime, DEFAULT_TITLE } from '../utils/helpers.js';
+
+const MARGIN = 54;
+const COLOR_TEXT = '#1f2937';
+const COLOR_MUTED = '#6b7280';
+const COLOR_PRIMARY = '#2563eb';
+const COLOR_RULE = '#d1d5db';
+const COLOR_PANEL = '#f3f4f6';
+
+// Largest QR code that still scans reliably at the printed size
+const QR_MAX_VERSION = 15;
+
+// Print-strength versions of the Verify page's provenance colours
+const SHADING = {
+  typed: null,
+  revised: '#dbeafe',
+  heavy: '#93c5fd',
+  pasted: '#fde68a',
+};
+
+/**
+ * Letter for regions that use it, A4 everywhere else.
+ */
+export function defaultPaperSize() {
+  const region = (navigator.language || '').split('-')[1] || '';
+  return ['US', 'CA', 'MX', 'PH', 'CL', 'CO', 'VE'].includes(region.toUpperCase()) ? 'letter' : 'a4';
+}
+
+/**
+ * Build the certificate for `doc` as a PDF Blob. The QR code opens
+ * `shareURL` when it is short enough to print, and `verifyURL` (which needs
+ * the .writeproof.json file) otherwise. Options: appendix (add the final
+ * text with provenance shading) and size ('letter' | 'a4').
+ */
+export function buildCertificate(doc, { verifyURL, shareURL, appendix = false, size = 'letter' } = {}) {
+  const profile = analyzeWritingProfile(doc);
+  if (!profile) throw new Error('Write a little more before making a certificate.');
+
+  const title = doc.title || DEFAULT_TITLE;
+  const pdf = new PDFBuilder({ size, title: `${title} - Authorship Certificate` });
+  const width = pdf.width - 2 * MARGIN;
+  let y = MARGIN;
+
+  pdf.text('WriteProof', MARGIN, y, { font: 'helvetica-bold', size: 11, color: COLOR_PRIMARY });
+  pdf.text(`Generated ${new Date().toLocaleDateString()}`, MARGIN + width, y + 1, { size: 9, color: COLOR_MUTED, align: 'right' });
+  y += 20;
+  pdf.line(MARGIN, y, MARGIN + width, y, { color: COLOR_RULE, width: 0.75 });
+  y += 18;
+
+  pdf.text('Authorship Certificate', MARGIN, y, { font: 'helvetica-bold', size: 24, color: COLOR_TEXT });
+  y += 34;
+  y = paragraph(pdf, 'WriteProof recorded every keystroke while this document was written and chained them together with '
+    + 'SHA-256 hashes. The figures below are calculated from that record.', MARGIN, y, width, { size: 10, color: COLOR_MUTED });
+  y += 16;
+
+  pdf.text('DOCUMENT', MARGIN, y, { font: 'helvetica-bold', size: 8, color: COLOR_MUTED });
+  y += 12;
+  const titleLines = wrapText(pdf, title, width, 'helvetica-bold', 16);
+  for (const line of titleLines.slice(0, 3)) {
+    let text = title.slice(line.start, line.end).trim();
+    if (line === titleLines[2] && titleLines.length > 3) text += '…';
+    pdf.text(text, MARGIN, y, { font: 'helvetica-bold', size: 16, color: COLOR_TEXT });
+    y += 20;
+  }
+  y += 12;
+
+  // Headline figures
+  const stats = [
+    [formatNumber(countWords(doc.content)), 'Words'],
+    [formatTime(profile.sessions.activeTimeMs), 'Total writing time'],
+    [formatNumber(profile.sessions.count), profile.sessions.count === 1 ? 'Session' : 'Sessions'],
+    [formatNumber(profile.composition.totalKeystrokes), 'Keystroke events'],
+  ];
+  const gap = 10;
+  const boxWidth = (width - gap * (stats.length - 1)) / stats.length;
+  stats.forEach(([value, label], i) => {
+    const x = MARGIN + i * (boxWidth + gap);
+    pdf.rect(x, y, boxWidth, 56, { fill: COLOR_PANEL });
+    pdf.text(value, x + 12, y + 12, { font: 'helvetica-bold', size: 18, color: COLOR_TEXT });
+    pdf.text(label, x + 12, y + 37, { size: 9, color: COLOR_MUTED });
+  });
+  y += 66;
+
+  const { firstStartedAt, lastStartedAt } = profile.sessions;
+  if (firstStartedAt) {
+    const first = new Date(firstStartedAt).toLocaleDateString();
+    const last = new Date(lastStartedAt).toLocaleDateString();
+    pdf.text(first === last ? `Written on ${first}` : `Written between ${first} and ${last}`, MARGIN, y, { size: 9, color: COLOR_MUTED });
+    y += 14;
+  }
+  y += 14;
+
+  // Writing profile
+  y = heading(pdf, 'Writing Profile', y, width);
+  const { pasting, editing, timing, automation } = profile;
+  const rows = [
+    ['Pasted content', `${pasting.pastePercent}% of final text (${formatNumber(pasting.pasteCount)} paste${pasting.pasteCount === 1 ? '' : 's'})`],
+    ['Largest single paste', `${formatNumber(pasting.largestPaste)} chars`],
+    ['Deletion ratio', `${editing.deletionRatio} deletions per insertion`],
+    ['Non-local edits', editing.farEditPercent === null
+      ? 'Too few edits to measure'
+      : `${editing.farEditPercent}% away from previous position`],
+    ['Median interval', `${formatNumber(timing.medianIntervalMs)} ms between keystrokes`],
+    ['Pauses over 30s', formatNumber(timing.pausesOver30s)],
+    ['Automation check', describeAutomation(automation)],
+  ];
+  const score = computeAuthenticityScore(profile);
+  if (score) rows.push(['Overall', `${score.band.label} (${score.total}/100)`]);
+  y = table(pdf, rows, y);
+  y += 18;
+
+  // Record details beside the QR code
+  y = heading(pdf, 'Record', y, width);
+  let qr = null;
+  if (shareURL) {
+    try {
+      qr = { url: shareURL, modules: encodeQR(shareURL, { ecc: 'M', maxVersion: QR_MAX_VERSION }).modules };
+    } catch {
+      // Too long to print legibly; link to the Verify page instead
+    }
+  }
+  if (!qr) qr = { url: verifyURL, modules: encodeQR(verifyURL, { ecc: 'M' }).modules };
+  const qrSize = 126;
+  const qrX = MARGIN + width - qrSize;
+  drawQR(pdf, qr.modules, qrX, y, qrSize);
+  pdf.link(qrX, y, qrSize, qrSize, qr.url);
+  pdf.text('Scan to open on the Verify page', qrX + qrSize / 2, y + qrSize + 6, { size: 8, color: COLOR_MUTED, align: 'center' });
+
+  pdf.text('Final chain hash', MARGIN, y, { size: 10, color: COLOR_MUTED });
+  const hash = doc.chainHash || '';
+  for (let i = 0; i < hash.length; i += 32) {
+    pdf.text(hash.slice(i, i + 32), MARGIN, y + 16 + (i / 32) * 13, { font: 'courier', size: 10.5, color: COLOR_TEXT });
+  }
+  const details = [
+    ['Hash algorithm', detectHashAlgorithm(doc)],
+    ['Signature', doc.signature ? 'Included in the file' : 'None'],
+    ['Document ID', doc.id || '—'],
+    ['Last modified', doc.lastModified ? new Date(doc.lastModified).toLocaleString() : '—'],
+  ];
+  table(pdf, details, y + 24 + Math.ceil(hash.length / 32) * 13);
+
+  // How to check it, pinned to the bottom of the page
+  const note = (qr.url === shareURL
+    ? 'To check this certificate, scan the QR code. It holds the whole keystroke record, so it opens the replay on the Verify page directly. '
+    : 'To check this certificate, scan the QR code and open the author\'s .writeproof.json file on the page it opens; WriteProof confirms '
+      + 'the file\'s final chain hash matches the one printed here. ')
+    + 'Click Verify there to recompute the hash chain from the keystrokes. The writing profile describes how the text was produced '
+    + 'and should be read alongside the replay; it is not a verdict on its own.';
+  const noteLines = wrapText(pdf, note, width, 'helvetica', 8);
+  let noteY = pdf.height - MARGIN - noteLines.length * 11;
+  pdf.line(MARGIN, noteY - 10, MARGIN + width, noteY - 10, { color: COLOR_RULE, width: 0.75 });
+  for (const line of noteLines) {
+    pdf.text(note.slice(line.start, line.end), MARGIN, noteY, { size: 8, color: COLOR_MUTED });
+    noteY += 11;
+  }
+
+  if (appendix) drawAppendix(pdf, doc, title);
+  return pdf.toBlob();
+}
+
+function describeAutomation(automation) {
+  const parts = [];
+  if (automation.ranges.length > 0) {
+    parts.push(`${formatNumber(automation.flaggedChars)} chars in ${automation.ranges.length} flagged stretch${automation.ranges.length === 1 ? '' : 'es'}`);
+  }
+  if (automation.untrustedEvents > 0) {
+    parts.push(`${formatNumber(automation.untrustedEvents)} synthetic input event${automation.untrustedEvents === 1 ? '' : 's'}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'Nothing flagged';
+}
+
+function heading(pdf, text, y, width) {
+  pdf.text(text, MARGIN, y, { font: 'helvetica-bold', size: 12, color: COLOR_TEXT });
+  pdf.line(MARGIN, y + 18, MARGIN + width, y + 18, { color: COLOR_RULE, width: 0.75 });
+  return y + 26;
+}
+
+function table(pdf, rows, y) {
+  for (const [label, value] of rows) {
+    pdf.text(label, MARGIN, y, { size: 10, color: COLOR_MUTED });
+    pdf.text(value, MARGIN + 130, y, { size: 10, color: COLOR_TEXT });
+    y += 16;
+  }
+  return y;
+}
+
+function paragraph(pdf, text, x, y, width, { font = 'helvetica', size, color }) {
+  for (const line of wrapText(pdf, text, width, font, size)) {
+    pdf.text(text.slice(line.start, line.end), x, y, { font, size, color });
+    y += size * 1.4;
+  }
+  return y;
+}
+
+// Greedy word wrap into [{ start, end }] offsets, excluding the newline
+// that ends a paragraph. Words wider than a line are split.
+function wrapText(pdf, text, maxWidth, font, size) {
+  const lines = [];
+  let offset = 0;
+  for (const para of text.split('\n')) {
+    let start = offset;
+    let width = 0;
+    for (const match of para.matchAll(/\S+\s*|\s+/g)) {
+      let wordStart = offset + match.index;
+      const wordEnd = wordStart + match[0].length;
+      let w = pdf.textWidth(match[0], font, size);
+      if (width + w > maxWidth && wordStart > start) {
+        lines.push({ start, end: wordStart });
+        start = wordStart;
+        width = 0;
+      }
+      while (w > maxWidth) {
+        let end = wordStart + 1;
+        while (end < wordEnd && pdf.textWidth(text.slice(wordStart, end + 1), font, size) <= maxWidth) end++;
+        lines.push({ start: wordStart, end });
+        wordStart = end;
+        start = end;
+        w = pdf.textWidth(text.slice(wordStart, wordEnd), font, size);
+      }
+      width += w;
+    }
+    lines.push({ start, end: offset + para.length });
+    offset += para.length + 1;
+  }
+  return lines;
+}
+
+// Dark modules as rectangles, merging horizontal runs to keep the file small
+function drawQR(pdf, modules, x, y, size) {
+  const cell = size / modules.length;
+  modules.forEach((row, r) => {
+    for (let c = 0; c < row.length; c++) {
+      if (!row[c]) continue;
+      let end = c;
+      while (end + 1 < row.length && row[end + 1]) end++;
+      pdf.rect(x + c * cell, y + r * cell, (end - c + 1) * cell, cell);
+      c = end;
+    }
+  });
+}
+
+function shadingFor(origin) {
+  if (origin.type === 'pasted') return SHADING.pasted;
+  if (origin.revisions >= 3) return SHADING.heavy;
+  if (origin.revisions > 0) return SHADING.revised;
+  return SHADING.typed;
+}
+
+// The final text on as many pages as it needs, each run of characters
+// shaded like the Verify page's provenance view
+function drawAppendix(pdf, doc, title) {
+  const { content, origins } = buildProvenance(doc.keystrokeLog);
+  const width = pdf.width - 2 * MARGIN;
+  const size = 10.5;
+  const lineHeight = 15;
+  let page = 1;
+
+  const startPage = () => {
+    pdf.addPage();
+    pdf.text(`${title} — Appendix${page > 1 ? ' (continued)' : ''}`, MARGIN, MARGIN, { font: 'helvetica-bold', size: 11, color: COLOR_TEXT });
+    pdf.text(`Page ${page + 1}`, MARGIN + width, MARGIN + 1, { size: 9, color: COLOR_MUTED, align: 'right' });
+    page++;
+    return MARGIN + 24;
+  };
+
+  let y = startPage();
+  y = paragraph(pdf, 'The final text, shaded by how each part was written. Shading is calculated from the keystroke '
+    + 'record, so it matches the Provenance view on the Verify page.', MARGIN, y, width, { size: 9, color: COLOR_MUTED });
+  y += 4;
+  let x = MARGIN;
+  for (const [label, fill] of [['Typed', null], ['Typed, then revised', SHADING.revised], ['Heavily revised (3+ rewrites)', SHADING.heavy], ['Pasted', SHADING.pasted]]) {
+    if (fill) {
+      pdf.rect(x, y, 10, 10, { fill });
+    } else {
+      pdf.rect(x, y, 10, 10, { fill: COLOR_RULE });
+      pdf.rect(x + 0.75, y + 0.75, 8.5, 8.5, { fill: '#ffffff' });
+    }
+    pdf.text(label, x + 14, y + 1, { size: 9, color: COLOR_TEXT });
+    x += 14 + pdf.textWidth(label, 'helvetica', 9) + 18;
+  }
+  y += 26;
+
+  for (const line of wrapText(pdf, content, width, 'times', size)) {
+    if (y + lineHeight > pdf.height - MARGIN) y = startPage();
+    const xAt = (offset) => MARGIN + pdf.textWidth(content.slice(line.start, offset), 'times', size);
+    let start = line.start;
+    for (let k = line.start + 1; k <= line.end; k++) {
+      if (k < line.end && shadingFor(origins[k]) === shadingFor(origins[start])) continue;
+      const fill = shadingFor(origins[start]);
+      if (fill) pdf.rect(xAt(start), y - 1.5, xAt(k) - xAt(start), lineHeight - 1, { fill });
+      start = k;
+    }
+    pdf.text(content.slice(line.start, line.end), MARGIN, y + 1.5, { font: 'times', size, color: COLOR_TEXT });
+    y += lineHeight;
+  }
+}
@@ -0,0 +1,164 @@
+// Compact columnar encoding of WriteProof exports
+//
+// A standard export stores the keystroke log as an array of { t, y, p, c }
+// objects. The compact format (format "writeproof-compact", formatVersion
+// 1) keeps every other field of the export as is and replaces keystrokeLog
+// with an `events` object of columns, one entry per event:
+//
+//   count    number of events
+//   types    string of one-character event types (y), in order
+//   t        timestamp deltas from the previous event, rounded to 0.001 ms
+//   p        position deltas from the previous event's p
+//   c        index into `strings`, or -1 when the event has no c
+//   strings  distinct c values, most frequent first
+//   l        { index: l } for events with a link length
+//   u        indices of events marked u: 1
+//   exactT   { index: t } where t - previous t doesn't survive rounding, so
+//            the decoded timestamp is always the recorded one
+//   raw      { index: event } for events that don't fit the columns; their
+//            column entries are placeholders
+//
+// Decoding gives back the exact keystrokeLog, so hashes verify the same.
+
+export const COMPACT_FORMAT = 'writeproof-compact';
+export const COMPACT_VERSION = 1;
+
+const FIELDS = new Set(['t', 'y', 'p', 'c', 'l', 'u']);
+
+/**
+ * Compact form of a standard export object (see buildExportData).
+ */
+export function encodeCompact(data) {
+  const { keystrokeLog, ...rest } = data;
+  return { format: COMPACT_FORMAT, formatVersion: COMPACT_VERSION, ...rest, events: encodeEvents(keystrokeLog) };
+}
+
+/**
+ * Standard export object from its compact form. Throws on malformed data.
+ */
+export function decodeCompact(data) {
+  if (data.formatVersion !== COMPACT_VERSION) {
+    throw new Error(`Unsupported compact format version ${data.formatVersion}`);
+  }
+  const { format, formatVersion, events, ...rest } = data;
+  return { ...rest, keystrokeLog: decodeEvents(events) };
+}
+
+// Events the columns can hold exactly; anything else is stored whole
+function fitsColumns(event) {
+  return event && typeof event === 'object'
+    && Object.keys(event).every((key) => FIELDS.has(key))
+    && typeof event.y === 'string' && event.y.length === 1
+    && Number.isFinite(event.t)
+    && Number.isInteger(event.p)
+    && (event.c === undefined || typeof event.c === 'string')
+    && (event.l === undefined || Number.isInteger(event.l))
+    && (event.u === undefined || event.u === 1);
+}
+
+function encodeEvents(log) {
+  // Most frequent strings get the shortest indices
+  const counts = new Map();
+  for (const event of log) {
+    if (fitsColumns(event) && event.c !== undefined) counts.set(event.c, (counts.get(event.c) || 0) + 1);
+  }
+  const strings = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  const stringIndex = new Map(strings.map((s, i) => [s, i]));
+
+  const columns = { count: log.length, types: '', t: [], p: [], c: [], strings, l: {}, u: [], exactT: {}, raw: {} };
+  const types = [];
+  let prevT = 0;
+  let prevP = 0;
+
+  log.forEach((event, i) => {
+    if (!fitsColumns(event)) {
+      columns.raw[i] = event;
+      types.push('?');
+      columns.t.push(0);
+      columns.p.push(0);
+      columns.c.push(-1);
+      return;
+    }
+
+    types.push(event.y);
+    const delta = Math.round((event.t - prevT) * 1000) / 1000;
+    if (prevT + delta === event.t) {
+      columns.t.push(delta);
+    } else {
+      columns.t.push(0);
+      columns.exactT[i] = event.t;
+    }
+    prevT = event.t;
+
+    columns.p.push(event.p - prevP);
+    prevP = event.p;
+    columns.c.push(event.c === undefined ? -1 : stringIndex.get(event.c));
+    if (event.l !== undefined) columns.l[i] = event.l;
+    if (event.u === 1) columns.u.push(i);
+  });
+
+  columns.types = types.join('');
+  return columns;
+}
+
+function decodeEvents(columns) {
+  const { count, types, t, p, c, strings } = columns || {};
+  if (!Number.isInteger(count) || typeof types !== 'string' || types.length !== count
+    || !Array.isArray(t) || t.length !== count || !Array.isArray(p) || p.length !== count
+    || !Array.isArray(c) || c.length !== count || !Array.isArray(strings)) {
+    throw new Error('Invalid compact event data');
+  }
+  const lengths = columns.l || {};
+  const exactT = columns.exactT || {};
+  const raw = columns.raw || {};
+  const untrusted = new Set(columns.u || []);
+
+  const log = new Array(count);
+  let prevT = 0;
+  let prevP = 0;
+  for (let i = 0; i < count; i++) {
+    if (raw[i] !== undefined) {
+      log[i] = raw[i];
+      continue;
+    }
+    const event = {
+      t: exactT[i] !== undefined ? exactT[i] : prevT + t[i],
+      y: types[i],
+      p: prevP + p[i],
+    };
+    if (c[i] >= 0) {
+      if (c[i] >= strings.length) throw new Error('Invalid compact event data');
+      event.c = strings[c[i]];
+    }
+    if (lengths[i] !== undefined) event.l = lengths[i];
+    if (untrusted.has(i)) event.u = 1;
+    prevT = event.t;
+    prevP = event.p;
+    log[i] = event;
+  }
+  return log;
+}
+
+export function isGzip(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+export function canCompress() {
+  return typeof CompressionStream !== 'undefined';
+}
+
+/**
+ * Gzip `text` with CompressionStream and resolve to a Blob.
+ */
+export function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+export function gunzipText(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    return Promise.reject(new Error('This browser cannot open compressed files'));
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
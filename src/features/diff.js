@@ -0,0 +1,245 @@
+// Word-level comparison of a document at two replay positions
+
+import { insertAt, deleteAt, insertRepeated } from '../utils/helpers.js';
+
+// Words (letters, digits and in-word apostrophes or hyphens), runs of
+// whitespace, and single punctuation marks
+const TOKEN = /\s+|[\p{L}\p{N}_]+(?:['’-][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu;
+
+/**
+ * Compare the text after `from` events with the text after `to` events.
+ * Returns { from, to, before, after, ops, hunks }. `ops` cover both texts
+ * in order as [{ type: 'equal' | 'delete' | 'insert', text, start, end, hunk }],
+ * where start/end are offsets into `before` for deletions and `after`
+ * otherwise, and `hunk` is the index of the change it belongs to (-1 for
+ * equal text). Each hunk lists the keystroke events that produced it:
+ * { events: [log indices], deleted, inserted }.
+ */
+export function comparePositions(log, from, to) {
+  if (from > to) [from, to] = [to, from];
+  const trace = traceChanges(log, from, to);
+  const ops = diffWords(trace.before, trace.after);
+
+  const hunks = [];
+  let current = null;
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.type === 'equal') {
+      // Whitespace between two changes doesn't split them into separate hunks
+      const next = ops[k + 1];
+      if (current && /^\s+$/.test(op.text) && next && next.type !== 'equal') {
+        op.hunk = hunks.length - 1;
+        continue;
+      }
+      op.hunk = -1;
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { events: new Set(), deleted: '', inserted: '' };
+      hunks.push(current);
+    }
+    op.hunk = hunks.length - 1;
+    if (op.type === 'delete') {
+      current.deleted += op.text;
+      for (let c = op.start; c < op.end; c++) {
+        if (trace.deletedBy[c] >= 0) current.events.add(trace.deletedBy[c]);
+      }
+    } else {
+      current.inserted += op.text;
+      for (let c = op.start; c < op.end; c++) {
+        if (trace.insertedBy[c] >= from) current.events.add(trace.insertedBy[c]);
+      }
+    }
+  }
+
+  return {
+    from,
+    to,
+    before: trace.before,
+    after: trace.after,
+    ops,
+    hunks: hunks.map((hunk) => ({ ...hunk, events: [...hunk.events].sort((a, b) => a - b) })),
+  };
+}
+
+// Replay the log to `to`, noting which event inserted each character of the
+// final text and which event deleted each character of the text at `from`
+function traceChanges(log, from, to) {
+  let content = '';
+  const insertedBy = [];
+  let base = [];
+  let before = '';
+  let deletedBy = [];
+
+  for (let i = 0; i <= to && i <= log.length; i++) {
+    if (i === from) {
+      before = content;
+      base = insertedBy.map((_, k) => k);
+      deletedBy = new Array(content.length).fill(-1);
+    }
+    if (i === to || i === log.length) break;
+
+    const event = log[i];
+    if (event.y === 'i' || event.y === 'p') {
+      content = insertAt(content, event.p, event.c);
+      insertRepeated(insertedBy, event.p, event.c.length, i);
+      if (i >= from) insertRepeated(base, event.p, event.c.length, -1);
+    } else if (event.y === 'd') {
+      content = deleteAt(content, event.p, event.c.length);
+      insertedBy.splice(event.p, event.c.length);
+      if (i >= from) {
+        for (const k of base.splice(event.p, event.c.length)) {
+          if (k >= 0) deletedBy[k] = i;
+        }
+      }
+    }
+  }
+  return { before, after: content, insertedBy, deletedBy };
+}
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN)) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Word-level diff of two strings using Myers' O(ND) algorithm. Returns
+ * ops as described for comparePositions, without hunk numbers.
+ */
+export function diffWords(a, b) {
+  const x = tokenize(a);
+  const y = tokenize(b);
+
+  // Common prefix and suffix are cheap to strip and usually most of the text
+  let pre = 0;
+  while (pre < x.length && pre < y.length && x[pre].text === y[pre].text) pre++;
+  let suf = 0;
+  while (suf < x.length - pre && suf < y.length - pre
+    && x[x.length - 1 - suf].text === y[y.length - 1 - suf].text) suf++;
+
+  const steps = myers(x.slice(pre, x.length - suf), y.slice(pre, y.length - suf));
+  const edits = [
+    ...new Array(pre).fill('='),
+    ...steps,
+    ...new Array(suf).fill('='),
+  ];
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type && last.end === token.start) {
+      last.text += token.text;
+      last.end = token.end;
+    } else {
+      ops.push({ type, text: token.text, start: token.start, end: token.end });
+    }
+  };
+  for (const edit of edits) {
+    if (edit === '=') {
+      push('equal', y[j]);
+      i++;
+      j++;
+    } else if (edit === '-') {
+      push('delete', x[i++]);
+    } else {
+      push('insert', y[j++]);
+    }
+  }
+  return ops;
+}
+
+// Shortest edit script between token lists as a sequence of '=', '-' and
+// '+' steps. Linear-space Myers: find the middle snake of the shortest
+// path, then solve the parts before and after it the same way.
+function myers(x, y) {
+  const steps = [];
+  diffRange(x, 0, x.length, y, 0, y.length, steps);
+  return steps;
+}
+
+function diffRange(x, x0, x1, y, y0, y1, steps) {
+  while (x0 < x1 && y0 < y1 && x[x0].text === y[y0].text) {
+    steps.push('=');
+    x0++;
+    y0++;
+  }
+  let tail = 0;
+  while (x1 > x0 && y1 > y0 && x[x1 - 1].text === y[y1 - 1].text) {
+    x1--;
+    y1--;
+    tail++;
+  }
+
+  // One side empty: nothing left to search, e.g. diffing against an empty text
+  if (x0 === x1) {
+    for (let j = y0; j < y1; j++) steps.push('+');
+  } else if (y0 === y1) {
+    for (let i = x0; i < x1; i++) steps.push('-');
+  } else {
+    const snake = middleSnake(x, x0, x1, y, y0, y1);
+    diffRange(x, x0, snake.x, y, y0, snake.y, steps);
+    for (let i = snake.x; i < snake.u; i++) steps.push('=');
+    diffRange(x, snake.u, x1, y, snake.v, y1, steps);
+  }
+  for (let k = 0; k < tail; k++) steps.push('=');
+}
+
+// The diagonal run (x, y) to (u, v) in the middle of a shortest edit path,
+// found by searching forwards from the start and backwards from the end
+// until the two searches overlap. Both ends must differ, so the parts on
+// either side have shorter edit paths than the whole.
+function middleSnake(x, x0, x1, y, y0, y1) {
+  const n = x1 - x0;
+  const m = y1 - y0;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal; backwards counts from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let px = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let py = px - k;
+      const sx = px;
+      const sy = py;
+      while (px < n && py < m && x[x0 + px].text === y[y0 + py].text) {
+        px++;
+        py++;
+      }
+      forward[offset + k] = px;
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && px + backward[offset + c] >= n) {
+        return { x: x0 + sx, y: y0 + sy, u: x0 + px, v: y0 + py };
+      }
+    }
+    for (let c = -d; c <= d; c += 2) {
+      let pu = c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+        ? backward[offset + c + 1]
+        : backward[offset + c - 1] + 1;
+      let pv = pu - c;
+      const su = pu;
+      const sv = pv;
+      while (pu < n && pv < m && x[x1 - 1 - pu].text === y[y1 - 1 - pv].text) {
+        pu++;
+        pv++;
+      }
+      backward[offset + c] = pu;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && forward[offset + k] + pu >= n) {
+        return { x: x1 - pu, y: y1 - pv, u: x1 - su, v: y1 - sv };
+      }
+    }
+  }
+  throw new Error('No middle snake');
+}
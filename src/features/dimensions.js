@@ -1,5 +1,7 @@
 // Per-event dimension computation for compare scatter plots
 
+import { getMonotonicTimes, getSessions, getSessionStarts } from './sessions.js';
+
 export const DIMENSIONS = [
   { id: 'normalizedTime', label: 'Normalized Time', unit: '' },
   { id: 'docPosition', label: 'Document Position', unit: '' },
@@ -8,6 +10,7 @@ export const DIMENSIONS = [
   { id: 'cumDeletionRatio', label: 'Cumul. Deletion Ratio', unit: '' },
   { id: 'cumPastePercent', label: 'Cumul. Paste %', unit: '%' },
   { id: 'editLocality', label: 'Edit Locality', unit: '%' },
+  { id: 'session', label: 'Writing Session', unit: '' },
 ];
 
 /**
@@ -20,24 +23,25 @@ export function computeDimension(dimensionId, doc) {
   if (n === 0) return new Float64Array(0);
 
   switch (dimensionId) {
-    case 'normalizedTime': return computeNormalizedTime(events);
+    case 'normalizedTime': return computeNormalizedTime(getMonotonicTimes(events));
     case 'docPosition': return computeDocPosition(events, doc);
-    case 'typingSpeed': return computeTypingSpeed(events);
-    case 'interEventInterval': return computeInterEventInterval(events);
+    case 'typingSpeed': return computeTypingSpeed(events, getMonotonicTimes(events));
+    case 'interEventInterval': return computeInterEventInterval(events, getMonotonicTimes(events));
     case 'cumDeletionRatio': return computeCumDeletionRatio(events);
     case 'cumPastePercent': return computeCumPastePercent(events);
     case 'editLocality': return computeEditLocality(events);
+    case 'session': return computeSession(events);
     default: return new Float64Array(n);
   }
 }
 
-function computeNormalizedTime(events) {
-  const n = events.length;
+function computeNormalizedTime(times) {
+  const n = times.length;
   const out = new Float64Array(n);
-  const maxT = events[n - 1].t;
+  const maxT = times[n - 1];
   if (maxT === 0) return out;
   for (let i = 0; i < n; i++) {
-    out[i] = events[i].t / maxT;
+    out[i] = times[i] / maxT;
   }
   return out;
 }
@@ -52,30 +56,35 @@ function computeDocPosition(events, doc) {
   return out;
 }
 
-function computeTypingSpeed(events) {
+function computeTypingSpeed(events, times) {
   const n = events.length;
   const out = new Float64Array(n);
   const WINDOW = 20;
+  const sessionStarts = getSessionStarts(events);
 
+  // The rolling window never reaches back into a previous session
+  let sessionStart = 0;
   for (let i = 0; i < n; i++) {
-    const start = Math.max(0, i - WINDOW + 1);
+    if (sessionStarts[i]) sessionStart = i;
+    const start = Math.max(sessionStart, i - WINDOW + 1);
     let chars = 0;
     for (let j = start; j <= i; j++) {
       if (events[j].y === 'i' || events[j].y === 'p') {
         chars += events[j].c.length;
       }
     }
-    const dt = events[i].t - events[start].t;
+    const dt = times[i] - times[start];
     out[i] = dt > 0 ? (chars / dt) * 60000 : 0;
   }
   return out;
 }
 
-function computeInterEventInterval(events) {
+function computeInterEventInterval(events, times) {
   const n = events.length;
   const out = new Float64Array(n);
+  const sessionStarts = getSessionStarts(events);
   for (let i = 1; i < n; i++) {
-    out[i] = events[i].t - events[i - 1].t;
+    out[i] = sessionStarts[i] ? 0 : times[i] - times[i - 1];
   }
   return out;
 }
@@ -115,11 +124,12 @@ function computeEditLocality(events) {
   const out = new Float64Array(n);
   const WINDOW = 20;
 
-  // Only consider content events (not 'm' = cursor move only)
+  // Only consider content events (not cursor moves, link or title changes)
   // But output array has one entry per event, so non-content events get 0
   const contentIndices = [];
   for (let i = 0; i < n; i++) {
-    if (events[i].y !== 'm') contentIndices.push(i);
+    const y = events[i].y;
+    if (y === 'i' || y === 'd' || y === 'p') contentIndices.push(i);
   }
 
   // Map: for each contentIndices slot, count near edits in rolling window
@@ -137,3 +147,11 @@ function computeEditLocality(events) {
   }
   return out;
 }
+
+function computeSession(events) {
+  const out = new Float64Array(events.length);
+  for (const session of getSessions(events)) {
+    out.fill(session.number, session.startIndex, session.endIndex);
+  }
+  return out;
+}
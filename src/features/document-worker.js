@@ -0,0 +1,70 @@
+// Web Worker that imports, verifies and indexes documents off the main thread
+//
+// Started by background.js. Each worker runs one task: the message is
+// { task, ...args }, and the worker answers with any number of
+// { type: 'progress', fraction, phase } messages, then one
+// { type: 'result', result } or { type: 'error', message }.
+
+import { JSONStreamParser } from '../utils/json-stream.js';
+import { verifyDocument } from '../core/hashing.js';
+import { validateImport } from './export.js';
+import { isGzip } from './compact.js';
+import { buildSnapshots } from './replay.js';
+
+const TASKS = {
+  // Parse a .writeproof.json (or .json.gz) File as it is read, then build
+  // its replay snapshots
+  async import({ file }, progress) {
+    let doc;
+    try {
+      doc = validateImport(await parseFile(file, progress));
+    } catch (err) {
+      throw new Error(`Invalid file: ${err.message}`);
+    }
+    progress(1, 'index');
+    return { doc, snapshots: buildSnapshots(doc.keystrokeLog) };
+  },
+
+  verify({ doc }, progress) {
+    return verifyDocument(doc, { onProgress: (done, total) => progress(done / total, 'verify') });
+  },
+
+  snapshots({ log }, progress) {
+    progress(1, 'index');
+    return buildSnapshots(log);
+  },
+};
+
+async function parseFile(file, progress) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  let read = 0;
+  let stream = file.stream().pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      read += chunk.byteLength;
+      progress(read / file.size, 'read');
+      controller.enqueue(chunk);
+    },
+  }));
+  if (isGzip(head)) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed files');
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+
+  const parser = new JSONStreamParser();
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return parser.end();
+    parser.write(value);
+  }
+}
+
+self.addEventListener('message', async ({ data }) => {
+  const { task, ...args } = data;
+  const progress = (fraction, phase) => self.postMessage({ type: 'progress', fraction, phase });
+  try {
+    self.postMessage({ type: 'result', result: await TASKS[task](args, progress) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
@@ -1,6 +1,17 @@
 // Export, import, and URL sharing for WriteProof
 
-export function exportToJSON(doc) {
+import { detectHashAlgorithm } from '../core/hashing.js';
+import { detectAutomation } from './automation.js';
+import { buildReportHTML } from './report.js';
+import { buildCertificate } from './certificate.js';
+import { buildTextExport, TEXT_FORMATS } from './formats.js';
+import { encodeCompact, decodeCompact, COMPACT_FORMAT, isGzip, gzipText, gunzipText } from './compact.js';
+import { generateUUID } from '../utils/helpers.js';
+
+const NOTES_FORMAT = 'writeproof-notes';
+const SELECTION_FORMAT = 'writeproof-events';
+
+function buildExportData(doc) {
   const exportData = {
     version: '2.0',
     id: doc.id,
@@ -11,46 +22,205 @@ export function exportToJSON(doc) {
     links: doc.links || [],
     keystrokeLog: doc.keystrokeLog,
     chainHash: doc.chainHash,
+    hashAlgorithm: detectHashAlgorithm(doc),
     metadata: doc.metadata,
   };
+  if (doc.checkpoints) exportData.checkpoints = doc.checkpoints;
+  if (doc.manifestHash) exportData.manifestHash = doc.manifestHash;
+  if (doc.signature) exportData.signature = doc.signature;
 
-  const json = JSON.stringify(exportData, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
+  // Derived from the log for anyone reading the file; never trusted on import
+  const automation = detectAutomation(doc.keystrokeLog);
+  if (automation.ranges.length > 0 || automation.untrustedEvents > 0) {
+    exportData.automation = automation;
+  }
+  return exportData;
+}
+
+/**
+ * Save a Blob through the browser's download prompt.
+ */
+export function downloadFile(blob, filename) {
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `${sanitizeFilename(doc.title)}.writeproof.json`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
 }
 
-export function importFromJSON(file) {
+function downloadJSON(data, filename) {
+  const json = JSON.stringify(data, null, 2);
+  downloadFile(new Blob([json], { type: 'application/json' }), filename);
+}
+
+// Reads plain or gzipped JSON
+function readJSONFile(file, parse) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    reader.onload = () => {
+    reader.onload = async () => {
       try {
-        const data = JSON.parse(reader.result);
-        const doc = validateImport(data);
-        resolve(doc);
+        const bytes = new Uint8Array(reader.result);
+        const text = isGzip(bytes) ? await gunzipText(bytes) : new TextDecoder().decode(bytes);
+        resolve(parse(JSON.parse(text)));
       } catch (err) {
         reject(new Error(`Invalid file: ${err.message}`));
       }
     };
     reader.onerror = () => reject(new Error('Failed to read file'));
-    reader.readAsText(file);
+    reader.readAsArrayBuffer(file);
   });
 }
 
+/**
+ * Save the document as a .writeproof.json file. `format` is 'standard'
+ * (readable JSON that any version can import), 'compact' (the columnar
+ * encoding in compact.js) or 'compressed' (compact, then gzipped).
+ */
+export async function exportToJSON(doc, { format = 'standard' } = {}) {
+  const data = buildExportData(doc);
+  const filename = `${sanitizeFilename(doc.title)}.writeproof.json`;
+  if (format === 'standard') {
+    downloadJSON(data, filename);
+    return;
+  }
+
+  const json = JSON.stringify(encodeCompact(data));
+  if (format === 'compressed') {
+    downloadFile(await gzipText(json), `${filename}.gz`);
+  } else {
+    downloadFile(new Blob([json], { type: 'application/json' }), filename);
+  }
+}
+
+/**
+ * Save a single HTML file that replays the document and re-verifies its
+ * hash chain when opened, with no network access or WriteProof install.
+ */
+export function exportToHTML(doc) {
+  const name = sanitizeFilename(doc.title);
+  const html = buildReportHTML(buildExportData(doc), `${name}.writeproof.json`);
+  downloadFile(new Blob([html], { type: 'text/html' }), `${name}.writeproof.html`);
+}
+
+/**
+ * Save a printable PDF certificate for the document. Its QR code holds the
+ * share link when that is short enough, and otherwise opens the Verify page
+ * with the document id and final chain hash to check an uploaded file
+ * against. Options are passed to buildCertificate.
+ */
+export async function exportCertificate(doc, options = {}) {
+  let shareURL = null;
+  try {
+    shareURL = await generateShareURL(doc);
+  } catch {
+    // Too large for a link; the certificate falls back to the Verify page
+  }
+  const blob = buildCertificate(doc, { ...options, verifyURL: verifyURL(doc), shareURL });
+  downloadFile(blob, `${sanitizeFilename(doc.title)}.certificate.pdf`);
+}
+
+/**
+ * Save the final text as Markdown, DOCX or plain text (a TEXT_FORMATS key),
+ * with links kept. With `footer`, the file ends with the document id, final
+ * chain hash and a link to the Verify page.
+ */
+export function exportText(doc, format, { footer = true } = {}) {
+  const blob = buildTextExport(doc, format, { footer: footer ? { verifyURL: verifyURL(doc) } : null });
+  downloadFile(blob, `${sanitizeFilename(doc.title)}.${TEXT_FORMATS[format].extension}`);
+}
+
+/**
+ * Save reviewer annotations as a notes file that sits next to the
+ * document's .writeproof.json and can be imported by another reviewer.
+ */
+export function exportNotes(doc, annotations) {
+  downloadJSON({
+    format: NOTES_FORMAT,
+    version: 1,
+    docId: doc.id,
+    title: doc.title,
+    chainHash: doc.chainHash,
+    exportedAt: new Date().toISOString(),
+    annotations: annotations.map(({ id, index, note, createdAt, updatedAt }) => ({ id, index, note, createdAt, updatedAt })),
+  }, `${sanitizeFilename(doc.title)}.notes.json`);
+}
+
+/**
+ * Save events picked on the compare chart. `selection` is [{ doc, indices }];
+ * each event keeps its position in the document's log as `index`. The
+ * subset can't be verified on its own, so each document's id and final
+ * chain hash are included to find the full log it came from.
+ */
+export function exportEventSelection(selection, axes = {}) {
+  downloadJSON({
+    format: SELECTION_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    axes,
+    documents: selection.map(({ doc, indices }) => ({
+      id: doc.id,
+      title: doc.title,
+      chainHash: doc.chainHash,
+      totalEvents: doc.keystrokeLog.length,
+      events: indices.map((index) => ({ index, ...doc.keystrokeLog[index] })),
+    })),
+  }, 'writeproof-selection.json');
+}
+
+/**
+ * Read a notes file for `doc`. Resolves to { annotations, matchesLog },
+ * where matchesLog is false if the notes were written against a different
+ * version of the keystroke log, so their positions may be off.
+ */
+export function importNotes(file, doc) {
+  return readJSONFile(file, (data) => validateNotes(data, doc));
+}
+
+function validateNotes(data, doc) {
+  if (!data || data.format !== NOTES_FORMAT) throw new Error('Not a WriteProof notes file');
+  if (data.docId !== doc.id) throw new Error('These notes belong to a different document');
+  if (!Array.isArray(data.annotations)) throw new Error('Missing or invalid annotations');
+
+  const total = doc.keystrokeLog.length;
+  const now = new Date().toISOString();
+  const annotations = data.annotations
+    .filter((a) => a && Number.isInteger(a.index) && a.index >= 0 && a.index <= total)
+    .map((a) => ({
+      id: typeof a.id === 'string' && a.id ? a.id : generateUUID(),
+      docId: doc.id,
+      index: a.index,
+      note: typeof a.note === 'string' ? a.note : '',
+      createdAt: isDateString(a.createdAt) ? a.createdAt : now,
+      updatedAt: isDateString(a.updatedAt) ? a.updatedAt : isDateString(a.createdAt) ? a.createdAt : now,
+    }));
+  return { annotations, matchesLog: !data.chainHash || data.chainHash === doc.chainHash };
+}
+
+// Annotation lists sort on these as strings, so anything else is dropped
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+export function importFromJSON(file) {
+  return readJSONFile(file, validateImport);
+}
+
 export function importFromString(jsonString) {
   const data = JSON.parse(jsonString);
   return validateImport(data);
 }
 
-function validateImport(data) {
+/**
+ * Check parsed export data (standard or compact) and normalize it to a full
+ * document. Throws on anything that isn't a WriteProof export.
+ */
+export function validateImport(data) {
   if (!data || typeof data !== 'object') throw new Error('Not a valid object');
+  if (data.format === COMPACT_FORMAT) data = decodeCompact(data);
   if (!data.id) throw new Error('Missing document id');
   if (!data.keystrokeLog || !Array.isArray(data.keystrokeLog)) {
     throw new Error('Missing or invalid keystrokeLog');
@@ -66,6 +236,10 @@ function validateImport(data) {
     links: data.links || [],
     keystrokeLog: data.keystrokeLog,
     chainHash: data.chainHash || '',
+    hashAlgorithm: detectHashAlgorithm(data),
+    checkpoints: Array.isArray(data.checkpoints) ? data.checkpoints : [],
+    manifestHash: data.manifestHash || '',
+    signature: data.signature || null,
     metadata: data.metadata || {
       totalKeystrokes: data.keystrokeLog.length,
       totalTime: 0,
@@ -75,32 +249,28 @@ function validateImport(data) {
   };
 }
 
-function sanitizeFilename(name) {
+export function sanitizeFilename(name) {
   return name.replace(/[^a-zA-Z0-9_\-\s]/g, '').trim().replace(/\s+/g, '_') || 'document';
 }
 
+// Directory of the current page, so links work when served from a subdirectory
+function pageBase() {
+  return window.location.href.substring(0, window.location.href.lastIndexOf('/') + 1);
+}
+
+// Opens the Verify page for this document, which checks a loaded file
+// against the chain hash when the document isn't stored in the browser
+function verifyURL(doc) {
+  return `${pageBase()}verify.html?doc=${encodeURIComponent(doc.id)}&hash=${doc.chainHash}`;
+}
+
 export async function generateShareURL(doc) {
   const { compressToEncodedURIComponent } = await import('../vendor/lz-string.min.js');
-  const exportData = {
-    version: '2.0',
-    id: doc.id,
-    title: doc.title,
-    createdAt: doc.createdAt,
-    lastModified: doc.lastModified,
-    content: doc.content,
-    links: doc.links || [],
-    keystrokeLog: doc.keystrokeLog,
-    chainHash: doc.chainHash,
-    metadata: doc.metadata,
-  };
-
-  const json = JSON.stringify(exportData);
+  const json = JSON.stringify(encodeCompact(buildExportData(doc)));
   const compressed = compressToEncodedURIComponent(json);
   // Encode + as %2B so URLSearchParams.get() doesn't convert it to space
   const encoded = compressed.replace(/\+/g, '%2B');
-  // Build URL relative to current page location so it works in subdirectories
-  const base = window.location.href.substring(0, window.location.href.lastIndexOf('/') + 1);
-  const url = `${base}verify.html?data=${encoded}`;
+  const url = `${pageBase()}verify.html?data=${encoded}`;
 
   if (url.length > 100000) {
     throw new Error('Document is too large for URL sharing. Please use file export instead.');
@@ -0,0 +1,220 @@
+// Final text as Markdown, Word (DOCX) and plain text, keeping links
+//
+// Each format can end with a footer that ties the file back to its
+// keystroke record: the document id, final chain hash and a link to the
+// Verify page.
+
+import { createZip } from '../utils/zip.js';
+import { DEFAULT_TITLE } from '../utils/helpers.js';
+
+export const TEXT_FORMATS = {
+  markdown: { label: 'Markdown (.md)', extension: 'md', type: 'text/markdown', build: buildMarkdown },
+  docx: {
+    label: 'Word (.docx)',
+    extension: 'docx',
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    build: buildDocx,
+  },
+  text: { label: 'Plain text (.txt)', extension: 'txt', type: 'text/plain', build: buildPlainText },
+};
+
+/**
+ * Render `doc` in one of TEXT_FORMATS and return a Blob. Pass
+ * `footer: { verifyURL }` to append the verification footer.
+ */
+export function buildTextExport(doc, format, { footer = null } = {}) {
+  const spec = TEXT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  return new Blob([spec.build(doc, footer)], { type: spec.type });
+}
+
+// The text split at link boundaries and newlines into lines of
+// [{ text, url }] runs. Links that overlap an earlier one are dropped.
+function linkedLines(content, links = []) {
+  const runs = [];
+  let pos = 0;
+  for (const link of links.slice().sort((a, b) => a.start - b.start)) {
+    if (link.start < pos || link.end > content.length || link.end <= link.start) continue;
+    if (link.start > pos) runs.push({ text: content.slice(pos, link.start), url: null });
+    runs.push({ text: content.slice(link.start, link.end), url: link.url });
+    pos = link.end;
+  }
+  if (pos < content.length) runs.push({ text: content.slice(pos), url: null });
+
+  const lines = [[]];
+  for (const run of runs) {
+    run.text.split('\n').forEach((text, i) => {
+      if (i > 0) lines.push([]);
+      if (text) lines[lines.length - 1].push({ text, url: run.url });
+    });
+  }
+  return lines;
+}
+
+function footerFields(doc, footer) {
+  return [
+    ['Document ID', doc.id],
+    ['Final chain hash', doc.chainHash],
+    ['Verify', footer.verifyURL],
+  ];
+}
+
+// --- Plain text ---
+
+function buildPlainText(doc, footer) {
+  const body = linkedLines(doc.content, doc.links)
+    .map((line) => line.map(({ text, url }) => (url && url !== text ? `${text} (${url})` : text)).join(''))
+    .join('\n');
+  let out = `${doc.title || DEFAULT_TITLE}\n\n${body}\n`;
+  if (footer) {
+    out += '\n--\nWritten with WriteProof\n';
+    out += footerFields(doc, footer).map(([label, value]) => `${label}: ${value}\n`).join('');
+  }
+  return out;
+}
+
+// --- Markdown ---
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+
+// Characters that only mean something at the start of a line
+function escapeLineStart(line) {
+  return line
+    .replace(/^(\s*)([#>+-])/, '$1\\$2')
+    .replace(/^(\s*\d+)([.)])/, '$1\\$2');
+}
+
+function markdownLink(text, url) {
+  const target = /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+  return `[${escapeMarkdown(text)}](${target})`;
+}
+
+function buildMarkdown(doc, footer) {
+  const lines = linkedLines(doc.content, doc.links).map((line) => escapeLineStart(line
+    .map(({ text, url }) => (url ? markdownLink(text, url) : escapeMarkdown(text)))
+    .join('')));
+
+  // Blank lines separate paragraphs; a single newline becomes a hard break
+  const body = lines
+    .map((line, i) => (line && lines[i + 1] ? `${line}\\` : line))
+    .join('\n');
+
+  let out = `# ${escapeMarkdown(doc.title || DEFAULT_TITLE)}\n\n${body}\n`;
+  if (footer) {
+    out += '\n---\n\n*Written with WriteProof.* ';
+    out += footerFields(doc, footer)
+      .map(([label, value]) => (label === 'Verify' ? markdownLink('Verify the writing process', value) : `${label}: \`${value}\``))
+      .join(' \u00b7 ');
+    out += '\n';
+  }
+  return out;
+}
+
+// --- DOCX ---
+
+function escapeXML(text) {
+  return text
+    .replace(/[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '') // not allowed in XML
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function docxRun(text, props = '') {
+  const rPr = props ? `<w:rPr>${props}</w:rPr>` : '';
+  return text.split('\t')
+    .map((part) => (part ? `<w:r>${rPr}<w:t xml:space="preserve">${escapeXML(part)}</w:t></w:r>` : ''))
+    .join(`<w:r>${rPr}<w:tab/></w:r>`);
+}
+
+function buildDocx(doc, footer) {
+  const title = doc.title || DEFAULT_TITLE;
+  const relationships = [
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+  ];
+  const linkIds = new Map();
+  const hyperlink = (text, url, props = '') => {
+    if (!linkIds.has(url)) {
+      const id = `rId${relationships.length + 1}`;
+      linkIds.set(url, id);
+      relationships.push(`<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXML(url)}" TargetMode="External"/>`);
+    }
+    return `<w:hyperlink r:id="${linkIds.get(url)}" w:history="1">${docxRun(text, `<w:rStyle w:val="Hyperlink"/>${props}`)}</w:hyperlink>`;
+  };
+
+  const paragraphs = [`<w:p><w:pPr><w:pStyle w:val="Title"/></w:pPr>${docxRun(title)}</w:p>`];
+  for (const line of linkedLines(doc.content, doc.links)) {
+    const runs = line.map(({ text, url }) => (url ? hyperlink(text, url) : docxRun(text))).join('');
+    paragraphs.push(`<w:p>${runs}</w:p>`);
+  }
+  if (footer) {
+    const small = '<w:color w:val="6B7280"/><w:sz w:val="18"/>';
+    paragraphs.push(`<w:p><w:pPr><w:pBdr><w:top w:val="single" w:sz="4" w:space="8" w:color="D1D5DB"/></w:pBdr><w:spacing w:before="480"/></w:pPr>${docxRun('Written with WriteProof', small)}</w:p>`);
+    for (const [label, value] of footerFields(doc, footer)) {
+      const content = label === 'Verify' ? hyperlink(value, value, small) : docxRun(value, `${small}<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas"/>`);
+      paragraphs.push(`<w:p><w:pPr><w:spacing w:after="0"/></w:pPr>${docxRun(`${label}: `, small)}${content}</w:p>`);
+    }
+  }
+
+  const documentXML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<w:body>${paragraphs.join('')}<w:sectPr><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr></w:body>`
+    + '</w:document>';
+
+  const created = new Date(doc.createdAt || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+  const modified = new Date(doc.lastModified || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: PACKAGE_RELS },
+    {
+      name: 'docProps/core.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" '
+        + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" '
+        + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        + `<dc:title>${escapeXML(title)}</dc:title>`
+        + `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>`
+        + `<dcterms:modified xsi:type="dcterms:W3CDTF">${modified}</dcterms:modified>`
+        + '</cp:coreProperties>',
+    },
+    { name: 'word/document.xml', data: documentXML },
+    { name: 'word/styles.xml', data: STYLES },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`,
+    },
+  ]);
+}
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+  + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+  + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+  + '</Types>';
+
+const PACKAGE_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+  + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+  + '</Relationships>';
+
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+  + '<w:docDefaults>'
+  + '<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:rPrDefault>'
+  + '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>'
+  + '</w:docDefaults>'
+  + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+  + '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>'
+  + '<w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/><w:szCs w:val="40"/></w:rPr></w:style>'
+  + '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>'
+  + '</w:styles>';
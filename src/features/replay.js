@@ -1,13 +1,128 @@
 // Replay engine for WriteProof
 
-import { insertAt, deleteAt, sleep } from '../utils/helpers.js';
+import { insertAt, deleteAt, insertRepeated, sleep } from '../utils/helpers.js';
+import { getMonotonicTimes, getSessions, findSession } from './sessions.js';
 
-const MAX_DELAY_MS = 3000;
+/**
+ * How recorded gaps become playback delays (before the speed multiplier):
+ * 'realtime' keeps every gap, 'compressed' caps gaps at `idleCap` ms and
+ * 'constant' plays every event `eventDelay` ms after the previous one.
+ */
+export const DEFAULT_TIMING = {
+  mode: 'compressed',
+  idleCap: 3000,
+  eventDelay: 50,
+};
+
+const SNAPSHOT_INTERVAL = 1000;
+
+// Insertions that end a word or sentence, for stepping by those units
+const STEP_BOUNDARIES = {
+  word: /\s$/,
+  sentence: /[.!?]["')\]]*\s*$/,
+};
+
+/**
+ * Playback clock at 1x (ms) for each event, from the events' monotonic
+ * times (see getMonotonicTimes) under a timing like DEFAULT_TIMING.
+ */
+export function getPlaybackTimes(times, timing = DEFAULT_TIMING) {
+  const merged = { ...DEFAULT_TIMING, ...timing };
+  const clock = new Float64Array(times.length);
+  for (let i = 1; i < times.length; i++) {
+    clock[i] = clock[i - 1] + playbackGap(times, i, merged);
+  }
+  return clock;
+}
+
+// Playback delay at 1x between events i - 1 and i
+function playbackGap(times, i, { mode, idleCap, eventDelay }) {
+  if (mode === 'constant') return eventDelay;
+  const gap = Math.max(0, times[i] - times[i - 1]);
+  return mode === 'realtime' ? gap : Math.min(gap, idleCap);
+}
+
+/**
+ * Content after every SNAPSHOT_INTERVAL events, as a Map from event count to
+ * text, so seeking replays at most that many events.
+ */
+export function buildSnapshots(log) {
+  const snapshots = new Map([[0, '']]);
+  let content = '';
+
+  for (let i = 0; i < log.length; i++) {
+    const event = log[i];
+    if (event.y === 'i' || event.y === 'p') {
+      content = insertAt(content, event.p, event.c);
+    } else if (event.y === 'd') {
+      content = deleteAt(content, event.p, event.c.length);
+    }
+    // 'm' events don't affect content
+
+    if ((i + 1) % SNAPSHOT_INTERVAL === 0) {
+      snapshots.set(i + 1, content);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Paste ranges (see updatePasteRanges) after every SNAPSHOT_INTERVAL events,
+ * for pasteRangesAt. Also records, for each deletion that removed pasted
+ * text, the removed parts as [{ start, end }] relative to its p. Returns
+ * { snapshots, removed }, both Maps.
+ */
+export function buildPasteSnapshots(log) {
+  const snapshots = new Map([[0, []]]);
+  const removed = new Map();
+  let ranges = [];
+
+  for (let i = 0; i < log.length; i++) {
+    const event = log[i];
+    if (event.y === 'd') {
+      const parts = pastedParts(ranges, event);
+      if (parts.length > 0) removed.set(i, parts);
+    }
+    ranges = updatePasteRanges(ranges, event);
+
+    if ((i + 1) % SNAPSHOT_INTERVAL === 0) {
+      snapshots.set(i + 1, ranges);
+    }
+  }
+  return { snapshots, removed };
+}
+
+/**
+ * Paste ranges after the first `index` events, replayed from the nearest
+ * of `snapshots` from buildPasteSnapshots.
+ */
+export function pasteRangesAt(log, snapshots, index) {
+  const end = Math.min(index, log.length);
+  const from = end - (end % SNAPSHOT_INTERVAL);
+  let ranges = snapshots.get(from) || [];
+  for (let i = from; i < end; i++) {
+    ranges = updatePasteRanges(ranges, log[i]);
+  }
+  return ranges;
+}
+
+// The pasted parts of the text a deletion removes, relative to its p
+function pastedParts(ranges, event) {
+  const end = event.p + event.c.length;
+  const parts = [];
+  for (const range of ranges) {
+    const start = Math.max(range.start, event.p);
+    const stop = Math.min(range.end, end);
+    if (start < stop) parts.push({ start: start - event.p, end: stop - event.p });
+  }
+  return parts;
+}
 
 export class ReplayEngine {
   constructor(doc, options = {}) {
     this._doc = doc;
     this._speed = options.speed || 1;
+    this._timing = { ...DEFAULT_TIMING, ...options.timing };
     this._onProgress = options.onProgress || null;
     this._onComplete = options.onComplete || null;
     this._onStateChange = options.onStateChange || null;
@@ -15,31 +130,24 @@ export class ReplayEngine {
     this._index = 0;
     this._content = '';
     this._state = 'stopped'; // stopped | playing | paused
+    this._direction = 1;     // 1 forward, -1 reverse
     this._abortController = null;
 
-    // Snapshot cache for seeking (every 1000 keystrokes)
-    this._snapshots = new Map();
-    this._buildSnapshots();
-  }
+    this._times = getMonotonicTimes(doc.keystrokeLog);
+    this._sessions = getSessions(doc.keystrokeLog, this._times);
+    this._buildPlaybackTimes();
 
-  _buildSnapshots() {
-    let content = '';
-    const log = this._doc.keystrokeLog;
-    this._snapshots.set(0, '');
+    // Snapshot cache for seeking. Callers that built it elsewhere (off the
+    // main thread, for large files) pass it as options.snapshots.
+    this._snapshots = options.snapshots || buildSnapshots(doc.keystrokeLog);
+  }
 
-    for (let i = 0; i < log.length; i++) {
-      const event = log[i];
-      if (event.y === 'i' || event.y === 'p') {
-        content = insertAt(content, event.p, event.c);
-      } else if (event.y === 'd') {
-        content = deleteAt(content, event.p, event.c.length);
-      }
-      // 'm' events don't affect content
+  _buildPlaybackTimes() {
+    this._playbackTimes = getPlaybackTimes(this._times, this._timing);
+  }
 
-      if ((i + 1) % 1000 === 0) {
-        this._snapshots.set(i + 1, content);
-      }
-    }
+  _gap(i) {
+    return playbackGap(this._times, i, this._timing);
   }
 
   get state() { return this._state; }
@@ -47,63 +155,185 @@ export class ReplayEngine {
   get total() { return this._doc.keystrokeLog.length; }
   get content() { return this._content; }
   get speed() { return this._speed; }
+  get direction() { return this._direction; }
+  get timing() { return { ...this._timing }; }
+  get duration() { return this.total > 0 ? this._playbackTimes[this.total - 1] : 0; }
+  get sessions() { return this._sessions; }
+
+  /**
+   * Origin of every character of the final text, built on first use.
+   */
+  get provenance() {
+    if (!this._provenance) {
+      this._provenance = buildProvenance(this._doc.keystrokeLog, this._times, this._sessions);
+    }
+    return this._provenance;
+  }
+
+  /**
+   * The session containing the event at `index`, or null for an empty log.
+   */
+  sessionAt(index) {
+    return findSession(this._sessions, Math.max(0, index));
+  }
+
+  /**
+   * Recorded writing time (ms from the first event) after `index` events.
+   */
+  elapsedAt(index) {
+    return index > 0 ? this._times[Math.min(index, this.total) - 1] - this._times[0] : 0;
+  }
+
+  /**
+   * Playback clock at 1x (ms) after `index` events under the current timing.
+   */
+  playbackTimeAt(index) {
+    return index > 0 ? this._playbackTimes[Math.min(index, this.total) - 1] : 0;
+  }
 
   setSpeed(speed) {
     this._speed = speed;
   }
 
-  async play() {
-    if (this._state === 'playing') return;
+  /**
+   * Change how idle time is played back, e.g. { mode: 'compressed', idleCap: 10000 }.
+   * Takes effect from the next event.
+   */
+  setTiming(timing) {
+    this._timing = { ...this._timing, ...timing };
+    this._buildPlaybackTimes();
+  }
+
+  play() {
+    return this._run(1);
+  }
+
+  playReverse() {
+    return this._run(-1);
+  }
+
+  async _run(direction) {
+    if (this._state === 'playing' && this._direction === direction) return;
+    // A loop already running in the other direction stops at its next check
+    if (this._abortController) this._abortController.abort();
+
+    const controller = new AbortController();
+    this._abortController = controller;
     this._state = 'playing';
-    this._abortController = new AbortController();
+    this._direction = direction;
     this._emitStateChange();
 
     const log = this._doc.keystrokeLog;
+    const hasNext = () => (direction > 0 ? this._index < log.length : this._index > 0);
+    // Delays too short to sleep for are carried over so fast bursts keep
+    // their overall pace instead of collapsing to zero
+    let pending = 0;
 
-    while (this._index < log.length) {
-      if (this._abortController.signal.aborted) return;
+    while (hasNext()) {
+      if (controller.signal.aborted) return;
       if (this._state !== 'playing') return;
 
-      const event = log[this._index];
+      if (direction > 0) this._applyNext();
+      else this._undoLast();
+      this._emitProgress(direction);
 
-      // Apply keystroke (skip move events for content)
-      if (event.y === 'i' || event.y === 'p') {
-        this._content = insertAt(this._content, event.p, event.c);
-      } else if (event.y === 'd') {
-        this._content = deleteAt(this._content, event.p, event.c.length);
-      }
-
-      this._index++;
-
-      // Emit progress
-      if (this._onProgress) {
-        this._onProgress({
-          index: this._index,
-          total: log.length,
-          content: this._content,
-          position: event.y === 'd' ? event.p : event.p + (event.c ? event.c.length : 0),
-          timestamp: event.t,
-          event,
-        });
-      }
-
-      // Delay before next keystroke
-      if (this._index < log.length && this._state === 'playing') {
-        const nextEvent = log[this._index];
-        let delay = (nextEvent.t - event.t) / this._speed;
-        delay = Math.min(delay, MAX_DELAY_MS / this._speed);
-        delay = Math.max(delay, 0);
-        if (delay > 5) {
-          await sleep(delay);
+      // Delay before the next keystroke: the gap between the two events
+      // either side of the playhead, whichever way it is moving
+      if (hasNext() && this._state === 'playing') {
+        pending += this._gap(this._index) / this._speed;
+        if (pending > 5) {
+          await sleep(pending);
+          pending = 0;
         }
       }
     }
 
-    if (this._state === 'playing') {
+    if (this._state === 'playing' && !controller.signal.aborted) {
       this._state = 'stopped';
       this._emitStateChange();
-      if (this._onComplete) this._onComplete();
+      if (direction > 0 && this._onComplete) this._onComplete();
+    }
+  }
+
+  /**
+   * Move forward by one `unit`: 'event', 'word' or 'sentence'. Pauses
+   * playback first.
+   */
+  stepForward(unit = 'event') {
+    this.pause();
+    const log = this._doc.keystrokeLog;
+    const boundary = STEP_BOUNDARIES[unit];
+    const from = this._index;
+    let moved = false;
+    while (this._index < log.length) {
+      this._applyNext();
+      if (!boundary || (moved && isBoundary(log[this._index - 1], boundary))) break;
+      if (!isBoundary(log[this._index - 1], boundary)) moved = true;
     }
+    this._emitProgress(this._index - from);
+  }
+
+  /**
+   * Move back by one `unit`, undoing events rather than re-seeking.
+   * Stepping back by word or sentence stops just after the previous
+   * boundary, so the playhead lands where that word or sentence ended.
+   */
+  stepBack(unit = 'event') {
+    this.pause();
+    const log = this._doc.keystrokeLog;
+    const boundary = STEP_BOUNDARIES[unit];
+    const from = this._index;
+    let moved = false;
+    while (this._index > 0) {
+      if (!isBoundary(log[this._index - 1], boundary)) moved = true;
+      this._undoLast();
+      if (!boundary || (moved && this._index > 0 && isBoundary(log[this._index - 1], boundary))) break;
+    }
+    this._emitProgress(this._index - from);
+  }
+
+  _applyNext() {
+    const event = this._doc.keystrokeLog[this._index];
+    // Move, link, title and session events don't affect content
+    if (event.y === 'i' || event.y === 'p') {
+      this._content = insertAt(this._content, event.p, event.c);
+    } else if (event.y === 'd') {
+      this._content = deleteAt(this._content, event.p, event.c.length);
+    }
+    this._index++;
+  }
+
+  // Inverse of _applyNext: removes inserted text and restores deleted text
+  _undoLast() {
+    const event = this._doc.keystrokeLog[this._index - 1];
+    if (event.y === 'i' || event.y === 'p') {
+      this._content = deleteAt(this._content, event.p, event.c.length);
+    } else if (event.y === 'd') {
+      this._content = insertAt(this._content, event.p, event.c);
+    }
+    this._index--;
+  }
+
+  // `steps` is how many events were applied (positive) or undone (negative)
+  // since the last update, so listeners can follow along incrementally;
+  // null after a seek
+  _emitProgress(steps = null) {
+    if (!this._onProgress) return;
+    const log = this._doc.keystrokeLog;
+    const index = this._index;
+    const event = index > 0 ? log[index - 1] : null;
+    this._onProgress({
+      index,
+      total: log.length,
+      content: this._content,
+      position: caretAfter(log, index),
+      timestamp: event ? this._times[index - 1] : 0,
+      elapsed: this.elapsedAt(index),
+      playbackTime: this.playbackTimeAt(index),
+      session: this.sessionAt(index - 1),
+      event,
+      steps,
+    });
   }
 
   pause() {
@@ -114,12 +344,13 @@ export class ReplayEngine {
 
   resume() {
     if (this._state !== 'paused') return;
-    this.play();
+    this._run(this._direction);
   }
 
   stop() {
     this._state = 'stopped';
     if (this._abortController) this._abortController.abort();
+    this._direction = 1;
     this._index = 0;
     this._content = '';
     this._emitStateChange();
@@ -149,23 +380,113 @@ export class ReplayEngine {
     }
 
     this._index = index;
+    this._emitProgress();
 
-    if (this._onProgress) {
-      const event = index > 0 ? log[index - 1] : null;
-      this._onProgress({
-        index: this._index,
-        total: log.length,
-        content: this._content,
-        position: event ? event.p : 0,
-        timestamp: event ? event.t : 0,
-        event,
-      });
-    }
-
-    if (wasPlaying) this.play();
+    if (wasPlaying) this._run(this._direction);
   }
 
   _emitStateChange() {
     if (this._onStateChange) this._onStateChange(this._state);
   }
 }
+
+function isBoundary(event, pattern) {
+  return !!pattern && (event.y === 'i' || event.y === 'p') && pattern.test(event.c);
+}
+
+// Caret position after the first `index` events: the end of the latest
+// insertion, deletion point or cursor move
+function caretAfter(log, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    const event = log[i];
+    if (event.y === 'i' || event.y === 'p') return event.p + event.c.length;
+    if (event.y === 'd' || event.y === 'm') return event.p;
+  }
+  return 0;
+}
+
+/**
+ * Where pasted text sits after applying `event`, given the ranges before it.
+ * Ranges are [{ start, end }] in content offsets, sorted by start; text
+ * typed inside a pasted range splits it.
+ */
+export function updatePasteRanges(ranges, event) {
+  if (event.y === 'i' || event.y === 'p') {
+    const out = shiftForInsert(ranges, event.p, event.c.length);
+    if (event.y === 'p') {
+      out.push({ start: event.p, end: event.p + event.c.length });
+      out.sort((a, b) => a.start - b.start);
+    }
+    return out;
+  }
+  if (event.y === 'd') return shiftForDelete(ranges, event.p, event.c.length);
+  return ranges;
+}
+
+function shiftForInsert(ranges, p, len) {
+  const out = [];
+  for (const range of ranges) {
+    if (range.start >= p) {
+      out.push({ start: range.start + len, end: range.end + len });
+    } else if (range.end > p) {
+      // Text typed inside a pasted span splits it
+      out.push({ start: range.start, end: p }, { start: p + len, end: range.end + len });
+    } else {
+      out.push(range);
+    }
+  }
+  return out;
+}
+
+function shiftForDelete(ranges, p, len) {
+  const to = p + len;
+  const shift = (pos) => (pos <= p ? pos : pos >= to ? pos - len : p);
+  return ranges
+    .map((range) => ({ start: shift(range.start), end: shift(range.end) }))
+    .filter((range) => range.end > range.start);
+}
+
+/**
+ * Replay a log while tracking where each character came from. Returns
+ * { content, origins }, where origins[k] describes content[k] as
+ * { index, type: 'typed' | 'pasted', session, time, revisions }. Characters
+ * inserted by the same event share one origin object. `revisions` counts how
+ * many times the text at that spot was deleted and rewritten.
+ */
+export function buildProvenance(log, times = getMonotonicTimes(log), sessions = getSessions(log, times)) {
+  let content = '';
+  const origins = [];
+  // Where the latest deletion left off, so text typed there counts as a rewrite
+  let pending = null;
+  let s = 0;
+
+  for (let i = 0; i < log.length; i++) {
+    while (s + 1 < sessions.length && sessions[s + 1].startIndex <= i) s++;
+    const event = log[i];
+
+    if (event.y === 'i' || event.y === 'p') {
+      const revisions = pending && pending.p === event.p ? pending.revisions : 0;
+      const origin = {
+        index: i,
+        type: event.y === 'p' ? 'pasted' : 'typed',
+        session: s + 1,
+        time: times[i],
+        revisions,
+      };
+      content = insertAt(content, event.p, event.c);
+      insertRepeated(origins, event.p, event.c.length, origin);
+      pending = revisions > 0 ? { p: event.p + event.c.length, revisions } : null;
+    } else if (event.y === 'd') {
+      const removed = origins.splice(event.p, event.c.length);
+      content = deleteAt(content, event.p, event.c.length);
+      // Consecutive backspaces or forward deletes extend the same revision
+      const continues = pending && (pending.p === event.p + event.c.length || pending.p === event.p);
+      let revisions = continues ? pending.revisions : 1;
+      for (const origin of removed) {
+        revisions = Math.max(revisions, origin.revisions + 1);
+      }
+      pending = { p: event.p, revisions };
+    }
+  }
+  return { content, origins };
+}
@@ -0,0 +1,353 @@
+// Self-verifying HTML report for WriteProof documents
+//
+// The report is one offline HTML file: the exported document data, a small
+// replay player, and the hash chain and manifest checks, which rerun every
+// time the file is opened. The verification code is embedded from the same
+// functions the app uses (via Function.prototype.toString), so the report
+// checks the document exactly as verify.html does, and the header is filled
+// in from the checked data. The writing profile is rendered once, when the
+// report is made, and is not rechecked.
+
+import { sha256Hex } from '../core/sha256.js';
+import {
+  eventHashInput, legacyHash, buildManifest, stableStringify, MANIFEST_FIELDS, HASH_LEGACY,
+} from '../core/hashing.js';
+import {
+  insertAt, deleteAt, applyLinkEvent, sameLinks, formatNumber, formatTime, countWords, DEFAULT_TITLE,
+} from '../utils/helpers.js';
+import { getMonotonicTimes } from './sessions.js';
+import { analyzeWritingProfile } from './analytics.js';
+import { computeAuthenticityScore } from './scoring.js';
+
+/**
+ * Build the report for `data`, the object written to .writeproof.json.
+ * `filename` is offered when the embedded data is saved from the report.
+ * Returns the complete HTML document as a string.
+ */
+export function buildReportHTML(data, filename) {
+  const profile = analyzeWritingProfile(data);
+  const score = computeAuthenticityScore(profile);
+  const times = Array.from(getMonotonicTimes(data.keystrokeLog));
+  const title = data.title || DEFAULT_TITLE;
+
+  const script = `const MANIFEST_FIELDS = ${scriptJSON(MANIFEST_FIELDS)};\n`
+    + `const DEFAULT_TITLE = ${scriptJSON(DEFAULT_TITLE)};\n`
+    + `const HASH_LEGACY = ${scriptJSON(HASH_LEGACY)};\n\n`
+    + [
+      sha256Hex, legacyHash, eventHashInput, buildManifest, stableStringify,
+      insertAt, deleteAt, applyLinkEvent, sameLinks, countWords,
+    ].map((fn) => fn.toString()).join('\n\n')
+    + `\n\n(${reportMain.toString()})(${scriptJSON(data)}, ${scriptJSON(times)}, ${scriptJSON(filename)});`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)} - WriteProof Report</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<header>
+  <p class="eyebrow">WriteProof Report</p>
+  <h1 id="doc-title">${escapeHTML(title)}</h1>
+  <p class="muted"><span id="doc-facts">${formatNumber(countWords(data.content))} words &middot; ${formatNumber(data.keystrokeLog.length)} keystrokes &middot; Created ${escapeHTML(new Date(data.createdAt).toLocaleString())}</span> &middot; Report made ${escapeHTML(new Date().toLocaleString())}</p>
+</header>
+
+<section id="verification" class="card">
+  <h2>Verification <span id="verify-badge" class="badge">Checking&hellip;</span></h2>
+  <p id="verify-summary" class="muted">Recomputing the hash chain and manifest from the data in this file&hellip;</p>
+  <ul id="verify-details"></ul>
+</section>
+
+<section class="card">
+  <h2>Replay</h2>
+  <div class="controls">
+    <button id="play" type="button">&#9654; Play</button>
+    <select id="speed" aria-label="Playback speed">
+      <option value="1">1x</option>
+      <option value="5" selected>5x</option>
+      <option value="20">20x</option>
+      <option value="100">100x</option>
+    </select>
+    <input id="seek" type="range" min="0" max="${data.keystrokeLog.length}" value="0" aria-label="Replay position">
+    <span id="counter" class="muted">0 / ${formatNumber(data.keystrokeLog.length)}</span>
+  </div>
+  <div id="replay" class="text"></div>
+</section>
+
+${renderProfileSection(profile, score)}
+
+<section class="card">
+  <h2>Final Text</h2>
+  <div class="text">${escapeHTML(data.content)}</div>
+</section>
+
+<footer class="muted">
+  Generated by WriteProof. This file works offline; the verification above reruns every time it is opened.
+  To examine the writing in full, <button id="download-data" type="button" class="link">save the embedded .writeproof.json</button> and open it on the WriteProof Verify page.
+</footer>
+
+<script>
+${script}
+</script>
+</body>
+</html>
+`;
+}
+
+// Runs inside the report. Uses only its arguments, the DOM and the
+// functions embedded alongside it.
+function reportMain(doc, times, filename) {
+  const $ = (id) => document.getElementById(id);
+  const log = doc.keystrokeLog;
+
+  // The header shows the embedded data that verify() checks, not static HTML
+  const title = doc.title || DEFAULT_TITLE;
+  document.title = `${title} - WriteProof Report`;
+  $('doc-title').textContent = title;
+  $('doc-facts').textContent = `${countWords(doc.content).toLocaleString()} words \u00b7 `
+    + `${log.length.toLocaleString()} keystrokes \u00b7 Created ${new Date(doc.createdAt).toLocaleString()}`;
+
+  const apply = (text, event) => {
+    if (event.y === 'i' || event.y === 'p') return insertAt(text, event.p, event.c);
+    if (event.y === 'd') return deleteAt(text, event.p, event.c.length);
+    return text;
+  };
+
+  const hash = async (text) => {
+    if (doc.hashAlgorithm === HASH_LEGACY) return legacyHash(text);
+    if (window.crypto && crypto.subtle) {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+    return sha256Hex(text);
+  };
+
+  async function verify() {
+    const expected = new Map((doc.checkpoints || []).map((cp) => [cp.i, cp.h]));
+    let prev = '0';
+    let text = '';
+    let links = [];
+    let replayTitle = DEFAULT_TITLE;
+    let hasLinkEvents = false;
+    let hasTitleEvents = false;
+    let firstMismatch = null;
+    let lastGood = 0;
+
+    for (let i = 0; i < log.length; i++) {
+      text = apply(text, log[i]);
+      links = applyLinkEvent(links, log[i]);
+      if (log[i].y === 'k' || log[i].y === 'e' || log[i].y === 'r') hasLinkEvents = true;
+      if (log[i].y === 'n') {
+        replayTitle = log[i].c;
+        hasTitleEvents = true;
+      }
+      prev = await hash(eventHashInput(prev, log[i]));
+      if (firstMismatch === null && expected.has(i + 1)) {
+        if (expected.get(i + 1) === prev) lastGood = i + 1;
+        else firstMismatch = lastGood;
+      }
+      if (i % 2000 === 1999) {
+        $('verify-summary').textContent = `Recomputing the hash chain\u2026 ${Math.round(((i + 1) / log.length) * 100)}%`;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    const chainValid = log.length === 0 ? !doc.chainHash : prev === doc.chainHash;
+    const contentValid = text === doc.content;
+    // As in verify.html, documents from before the manifest was recorded
+    // can only be checked for titles and links their log mentions
+    const tracked = !!doc.manifestHash;
+    const manifestValid = tracked ? await hash(buildManifest(doc)) === doc.manifestHash : null;
+    const titleValid = tracked || hasTitleEvents ? replayTitle === doc.title : null;
+    const linksValid = tracked || hasLinkEvents ? sameLinks(links, doc.links || []) : null;
+    const passed = chainValid && contentValid && manifestValid !== false &&
+      titleValid !== false && linksValid !== false;
+    const details = [
+      [chainValid, chainValid
+        ? `Hash chain intact: all ${log.length} events hash to the recorded value`
+        : 'Hash chain broken: the keystroke log has been changed since it was recorded'],
+      [contentValid, contentValid
+        ? 'Replaying the log reproduces the final text exactly'
+        : 'Replaying the log does not reproduce the final text'],
+    ];
+    if (!chainValid && firstMismatch !== null) {
+      details.push([false, `The first altered event is after event ${firstMismatch}`]);
+    }
+    if (titleValid !== null) {
+      details.push([titleValid, titleValid
+        ? 'Replaying the log reproduces the title'
+        : 'Replaying the log does not reproduce the title']);
+    }
+    if (linksValid !== null) {
+      details.push([linksValid, linksValid
+        ? 'Replaying the log reproduces the links'
+        : 'Replaying the log does not reproduce the links']);
+    }
+    if (manifestValid === null) {
+      details.push([null, 'This document predates manifest hashes, so its created date and metadata cannot be checked']);
+    } else {
+      details.push([manifestValid, manifestValid
+        ? 'Title, dates, links and metadata match the manifest hash'
+        : 'Title, dates, links or metadata have been changed since the document was saved']);
+    }
+    details.push([null, 'The writing profile below was computed when this report was made and is not rechecked']);
+    if (doc.hashAlgorithm === HASH_LEGACY) {
+      details.push([null, 'This document uses a weak legacy hash from an older version of WriteProof']);
+    }
+    if (doc.signature) {
+      details.push([null, 'The document is signed; the signature can be checked on the WriteProof Verify page']);
+    }
+
+    $('verify-badge').textContent = passed ? 'Verified' : 'Not verified';
+    $('verify-badge').className = `badge ${passed ? 'pass' : 'fail'}`;
+    $('verify-summary').textContent = passed
+      ? 'The keystroke log in this report is intact and produces the final text. The checks below list what else was verified.'
+      : 'This report has been altered since it was exported. Do not rely on it.';
+    for (const [ok, message] of details) {
+      const li = document.createElement('li');
+      li.className = ok === null ? 'note' : ok ? 'pass' : 'fail';
+      li.textContent = message;
+      $('verify-details').appendChild(li);
+    }
+  }
+
+  // Replay player: idle time is capped at 3 seconds, as in verify.html
+  let index = 0;
+  let text = '';
+  let timer = null;
+
+  const render = () => {
+    $('replay').textContent = text;
+    $('seek').value = index;
+    $('counter').textContent = `${index.toLocaleString()} / ${log.length.toLocaleString()}`;
+  };
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    $('play').textContent = '\u25b6 Play';
+  };
+  const tick = () => {
+    const speed = parseFloat($('speed').value);
+    let delay = 0;
+    // Apply events until the next one is due far enough ahead to wait for
+    while (index < log.length && delay < 5) {
+      text = apply(text, log[index++]);
+      if (index < log.length) delay += Math.min(times[index] - times[index - 1], 3000) / speed;
+    }
+    render();
+    if (index >= log.length) stop();
+    else timer = setTimeout(tick, delay);
+  };
+
+  $('play').addEventListener('click', () => {
+    if (timer) {
+      stop();
+      return;
+    }
+    if (index >= log.length) {
+      index = 0;
+      text = '';
+    }
+    $('play').textContent = '\u275a\u275a Pause';
+    tick();
+  });
+  $('seek').addEventListener('input', () => {
+    const target = parseInt($('seek').value, 10);
+    if (target < index) {
+      index = 0;
+      text = '';
+    }
+    while (index < target) text = apply(text, log[index++]);
+    render();
+  });
+  $('download-data').addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  });
+
+  render();
+  verify();
+}
+
+function renderProfileSection(profile, score) {
+  if (!profile) return '';
+
+  const rows = [];
+  if (score) {
+    rows.push(['Authenticity score', `${score.total} / 100 &middot; ${escapeHTML(score.band.label)}`]);
+    for (const c of score.components) {
+      rows.push([`&nbsp;&nbsp;${escapeHTML(c.label)}`, `${c.points} / ${c.maxPoints}`]);
+    }
+  }
+  rows.push(
+    ['Insertions', formatNumber(profile.composition.insertions)],
+    ['Deletions', formatNumber(profile.composition.deletions)],
+    ['Pastes', `${formatNumber(profile.pasting.pasteCount)} (${profile.pasting.pastePercent}% of final text)`],
+    ['Deletion ratio', `${profile.editing.deletionRatio} deletions per insertion`],
+    ['Non-local edits', profile.editing.farEditPercent === null
+      ? 'Too few edits to measure'
+      : `${profile.editing.farEditPercent}% away from previous position`],
+    ['Median interval', `${formatNumber(profile.timing.medianIntervalMs)} ms`],
+    ['Pauses over 30s', formatNumber(profile.timing.pausesOver30s)],
+    ['Writing sessions', formatNumber(profile.sessions.count)],
+    ['Active writing time', formatTime(profile.sessions.activeTimeMs)],
+    ['Automation check', profile.automation.ranges.length === 0
+      ? 'No machine-like typing detected'
+      : `${formatNumber(profile.automation.ranges.length)} flagged stretch(es), ${formatNumber(profile.automation.flaggedChars)} characters`],
+  );
+
+  return `<section class="card">
+  <h2>Writing Profile</h2>
+  <p class="muted">Computed from the keystroke log when this report was made.</p>
+  <table>
+${rows.map(([label, value]) => `    <tr><td>${label}</td><td>${value}</td></tr>`).join('\n')}
+  </table>
+</section>`;
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON that is safe to place inside a <script> element
+function scriptJSON(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+const REPORT_CSS = `
+  body { margin: 0 auto; max-width: 760px; padding: 2rem 1.25rem; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; background: #f9fafb; line-height: 1.5; }
+  h1 { margin: 0.25rem 0; font-size: 1.75rem; }
+  h2 { margin: 0 0 0.75rem; font-size: 1.125rem; display: flex; align-items: center; gap: 0.75rem; }
+  .eyebrow { margin: 0; font-size: 0.75rem; font-weight: 600; letter-spacing: 0.05em; text-transform: uppercase; color: #2563eb; }
+  .muted { color: #6b7280; font-size: 0.875rem; }
+  .card { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 1.25rem; margin: 1.25rem 0; }
+  .badge { font-size: 0.75rem; font-weight: 600; padding: 0.125rem 0.5rem; border-radius: 999px; background: #eff6ff; color: #2563eb; }
+  .badge.pass { background: #f0fdf4; color: #16a34a; }
+  .badge.fail { background: #fef2f2; color: #dc2626; }
+  #verify-details { margin: 0.5rem 0 0; padding-left: 1.25rem; font-size: 0.875rem; }
+  #verify-details .pass { color: #16a34a; }
+  #verify-details .fail { color: #dc2626; }
+  #verify-details .note { color: #6b7280; }
+  .controls { display: flex; align-items: center; gap: 0.75rem; margin-bottom: 0.75rem; }
+  .controls input[type=range] { flex: 1; }
+  button { font: inherit; font-size: 0.875rem; padding: 0.375rem 0.75rem; border: 1px solid #d1d5db; border-radius: 4px; background: #fff; cursor: pointer; }
+  button.link { border: none; padding: 0; background: none; color: #2563eb; text-decoration: underline; font-size: inherit; }
+  .text { min-height: 6rem; max-height: 24rem; overflow-y: auto; padding: 1rem; background: #f9fafb; border-radius: 4px; font-family: Georgia, 'Times New Roman', serif; font-size: 1.0625rem; line-height: 1.8; white-space: pre-wrap; word-wrap: break-word; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  td { padding: 0.375rem 0; border-bottom: 1px solid #f3f4f6; }
+  td:last-child { text-align: right; }
+  footer { margin-top: 2rem; }
+`;
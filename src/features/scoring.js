@@ -0,0 +1,203 @@
+// Authenticity score for WriteProof writing profiles
+
+// Overrides saved by an instructor, merged over DEFAULT_SCORE_CONFIG
+const CONFIG_STORAGE_KEY = 'writeproof_score_config';
+
+/**
+ * Each metric earns its points on a linear ramp between `zeroAt` (no points)
+ * and `fullAt` (all points); `zeroAt` may be above `fullAt` for metrics
+ * where less is better. Totals are scaled to 0–100 if the points are changed.
+ */
+export const DEFAULT_SCORE_CONFIG = {
+  minEvents: 50,                                             // typed, pasted and deleted events
+  nonLinearity: { points: 30, zeroAt: 2, fullAt: 20 },       // % of edits away from the previous position
+  revision: { points: 25, zeroAt: 0.02, fullAt: 0.15 },      // deletions per insertion
+  pauseVariability: { points: 25, zeroAt: 0.3, fullAt: 1.5 }, // coefficient of variation of intervals
+  paste: { points: 20, zeroAt: 50, fullAt: 5 },              // % of final text that was pasted
+  bands: [
+    { min: 75, label: 'High confidence', description: 'Strong indicators of authentic human writing' },
+    { min: 50, label: 'Moderate confidence', description: 'Mostly consistent with human patterns' },
+    { min: 25, label: 'Low confidence', description: 'Some concerning patterns detected' },
+    { min: 0, label: 'Very low confidence', description: 'Patterns inconsistent with typical human writing' },
+  ],
+};
+
+const METRICS = [
+  {
+    id: 'nonLinearity',
+    label: 'Non-linearity',
+    value: (profile) => profile.editing.farEditPercent,
+    explain: (v, c) => `${Math.round(v)}% of edits jumped away from the previous position (full points from ${c.fullAt}%)`,
+  },
+  {
+    id: 'revision',
+    label: 'Revision intensity',
+    value: (profile) => profile.editing.deletionRatio,
+    explain: (v, c) => `${v.toFixed(2)} deletions per insertion (full points from ${c.fullAt})`,
+  },
+  {
+    id: 'pauseVariability',
+    label: 'Pause variability',
+    value: (profile) => profile.timing.intervalCV,
+    explain: (v, c) => `Typing rhythm varies by ${v.toFixed(2)}× its average interval (full points from ${c.fullAt})`,
+  },
+  {
+    id: 'paste',
+    label: 'Paste analysis',
+    value: (profile) => profile.pasting.pastePercent,
+    explain: (v, c) => `${Math.round(v)}% of the final text was pasted (full points up to ${c.fullAt}%, none from ${c.zeroAt}%)`,
+  },
+];
+
+/**
+ * The scoring config in effect: defaults with any saved overrides applied.
+ */
+export function getScoreConfig() {
+  let overrides = null;
+  try {
+    overrides = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY));
+  } catch {
+    console.warn('[WriteProof] Ignoring invalid score config in localStorage');
+  }
+  return mergeScoreConfig(overrides);
+}
+
+/**
+ * Whether this browser has saved overrides (see "Tuning the Score" in docs.html).
+ */
+export function hasCustomScoreConfig() {
+  try {
+    return localStorage.getItem(CONFIG_STORAGE_KEY) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Save overrides for this browser, e.g. from a file a department shares.
+ * Throws if any entry is invalid, so nothing is half-applied.
+ */
+export function saveScoreConfig(overrides) {
+  const { problems } = readOverrides(overrides);
+  if (problems.length > 0) throw new Error(`Invalid score settings: ${problems.join('; ')}`);
+  localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(overrides));
+}
+
+export function clearScoreConfig() {
+  localStorage.removeItem(CONFIG_STORAGE_KEY);
+}
+
+/**
+ * Defaults with `overrides` applied. Invalid entries are ignored with a
+ * warning and keep their defaults.
+ */
+export function mergeScoreConfig(overrides) {
+  const { config, problems } = readOverrides(overrides);
+  if (problems.length > 0) {
+    console.warn(`[WriteProof] Ignoring invalid score config entries: ${problems.join('; ')}`);
+  }
+  return config;
+}
+
+// Apply the valid parts of `overrides` to the defaults. Returns
+// { config, problems }, with a description of each entry left out.
+function readOverrides(overrides) {
+  const config = { ...DEFAULT_SCORE_CONFIG, bands: DEFAULT_SCORE_CONFIG.bands };
+  const problems = [];
+  if (overrides === null || overrides === undefined) return { config, problems };
+  if (!isPlainObject(overrides)) {
+    problems.push('expected an object');
+    return { config, problems };
+  }
+
+  if (overrides.minEvents !== undefined) {
+    if (isCount(overrides.minEvents)) config.minEvents = overrides.minEvents;
+    else problems.push('minEvents must be a number of at least 0');
+  }
+
+  for (const { id } of METRICS) {
+    const entry = overrides[id];
+    if (entry === undefined) continue;
+    if (!isPlainObject(entry)) {
+      problems.push(`${id} must be an object`);
+      continue;
+    }
+    config[id] = { ...DEFAULT_SCORE_CONFIG[id] };
+    if (entry.points !== undefined) {
+      if (isCount(entry.points)) config[id].points = entry.points;
+      else problems.push(`${id}.points must be a number of at least 0`);
+    }
+    // zeroAt equal to fullAt is allowed: ramp() then awards all or nothing
+    for (const field of ['zeroAt', 'fullAt']) {
+      if (entry[field] === undefined) continue;
+      if (Number.isFinite(entry[field])) config[id][field] = entry[field];
+      else problems.push(`${id}.${field} must be a number`);
+    }
+  }
+
+  if (overrides.bands !== undefined) {
+    const bands = [];
+    if (Array.isArray(overrides.bands)) {
+      overrides.bands.forEach((band, i) => {
+        if (isPlainObject(band) && Number.isFinite(band.min) && typeof band.label === 'string' &&
+            (band.description === undefined || typeof band.description === 'string')) {
+          bands.push({ min: band.min, label: band.label, description: band.description || '' });
+        } else {
+          problems.push(`bands[${i}] needs a numeric min and a text label`);
+        }
+      });
+    } else {
+      problems.push('bands must be a list');
+    }
+    if (bands.length > 0) config.bands = bands.sort((a, b) => b.min - a.min);
+  }
+  return { config, problems };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCount(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+function ramp(value, zeroAt, fullAt) {
+  if (zeroAt === fullAt) return value >= fullAt ? 1 : 0;
+  return Math.min(1, Math.max(0, (value - zeroAt) / (fullAt - zeroAt)));
+}
+
+/**
+ * Score a profile from analyzeWritingProfile. Returns
+ * { total (0–100), band: { label, description }, bandIndex, components },
+ * or null when the log is too short to judge. Metrics with no value (e.g.
+ * edit locality with fewer than two edits) are left out of the components.
+ */
+export function computeAuthenticityScore(profile, config = getScoreConfig()) {
+  if (!profile || profile.composition.contentEvents < config.minEvents) return null;
+
+  const components = [];
+  for (const metric of METRICS) {
+    const measured = metric.value(profile);
+    if (measured === null) continue;
+    const c = config[metric.id];
+    const value = measured || 0;
+    const points = Math.round(ramp(value, c.zeroAt, c.fullAt) * c.points * 10) / 10;
+    components.push({
+      id: metric.id,
+      label: metric.label,
+      points,
+      maxPoints: c.points,
+      value,
+      explanation: metric.explain(value, c),
+    });
+  }
+
+  const earned = components.reduce((sum, c) => sum + c.points, 0);
+  const possible = components.reduce((sum, c) => sum + c.maxPoints, 0);
+  const total = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+  let bandIndex = config.bands.findIndex((b) => total >= b.min);
+  if (bandIndex < 0) bandIndex = config.bands.length - 1;
+
+  return { total, band: config.bands[bandIndex], bandIndex, components };
+}
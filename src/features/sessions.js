@@ -0,0 +1,92 @@
+// Writing session boundaries for WriteProof keystroke logs
+//
+// The recorder opens every editing session with an 's' event carrying the
+// wall-clock start time, and continues timestamps from where the previous
+// session ended. Logs recorded before that restart t at 0 on each reopen;
+// those backward jumps count as session boundaries with no known start time.
+
+function isSessionStart(log, i) {
+  return i === 0 || log[i].y === 's' || log[i].t < log[i - 1].t;
+}
+
+/**
+ * Per-event timestamps that never decrease across sessions, with the gap
+ * between sessions collapsed. Returns a Float64Array parallel to the log.
+ */
+export function getMonotonicTimes(log) {
+  const out = new Float64Array(log.length);
+  let offset = 0;
+  for (let i = 0; i < log.length; i++) {
+    if (i > 0 && isSessionStart(log, i)) {
+      offset = Math.max(0, out[i - 1] - log[i].t);
+    }
+    out[i] = log[i].t + offset;
+  }
+  return out;
+}
+
+/**
+ * Split a keystroke log into sessions. Each session is
+ * { number, startIndex, endIndex (exclusive), startTime, endTime, startedAt },
+ * with times from getMonotonicTimes and startedAt an ISO string or null.
+ */
+export function getSessions(log, times = getMonotonicTimes(log)) {
+  const sessions = [];
+  for (let i = 0; i < log.length; i++) {
+    if (isSessionStart(log, i)) {
+      if (sessions.length > 0) sessions[sessions.length - 1].endIndex = i;
+      sessions.push({
+        number: sessions.length + 1,
+        startIndex: i,
+        endIndex: log.length,
+        startTime: times[i],
+        endTime: times[i],
+        startedAt: log[i].y === 's' ? log[i].c : null,
+      });
+    }
+    sessions[sessions.length - 1].endTime = times[i];
+  }
+  return sessions;
+}
+
+/**
+ * Marks which events open a session, so interval statistics can skip the
+ * time between sessions. Returns a Uint8Array parallel to the log.
+ */
+export function getSessionStarts(log) {
+  const out = new Uint8Array(log.length);
+  for (let i = 0; i < log.length; i++) {
+    if (isSessionStart(log, i)) out[i] = 1;
+  }
+  return out;
+}
+
+/**
+ * The session containing the event at `index`.
+ */
+export function findSession(sessions, index) {
+  let lo = 0;
+  let hi = sessions.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (sessions[mid].startIndex <= index) lo = mid;
+    else hi = mid - 1;
+  }
+  return sessions[lo] || null;
+}
+
+/**
+ * e.g. "Session 3 of 7, Tuesday 14:02" — the wall-clock part is the time of
+ * the event at monotonic `time`, and is omitted for sessions without one.
+ */
+export function formatSessionLabel(session, total, time = session.startTime) {
+  const label = `Session ${session.number} of ${total}`;
+  if (!session.startedAt) return label;
+
+  const start = Date.parse(session.startedAt);
+  if (Number.isNaN(start)) return label;
+  const at = new Date(start + Math.max(0, time - session.startTime));
+  const day = at.toLocaleDateString(undefined, { weekday: 'long' });
+  const clock = at.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  return `${label}, ${day} ${clock}`;
+}
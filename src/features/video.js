@@ -0,0 +1,353 @@
+// WebM video export of a WriteProof replay
+//
+// Frames are drawn on a canvas from a headless ReplayEngine. Each frame
+// shows the state at a fixed point on the playback clock, so the same
+// document and options always produce the same frames no matter how busy
+// the browser is. Where WebCodecs is available, frames are encoded with
+// explicit timestamps as fast as the encoder takes them and written to a
+// WebM file by WebMWriter, so rendering is much faster than the video is
+// long. Elsewhere they are captured with MediaRecorder, which timestamps
+// frames as they arrive, so recording takes as long as the video.
+
+import { ReplayEngine, updatePasteRanges, getPlaybackTimes } from './replay.js';
+import { getMonotonicTimes } from './sessions.js';
+import { WebMWriter } from '../utils/webm.js';
+import { formatTime, formatNumber, sleep, DEFAULT_TITLE } from '../utils/helpers.js';
+
+export const DEFAULT_VIDEO_OPTIONS = {
+  speed: 10,
+  timing: { mode: 'compressed', idleCap: 1000 },
+  width: 1280,
+  height: 720,
+  fps: 30,
+  holdMs: 2000, // final text stays on screen this long at the end
+  overlay: { timestamp: true, counter: true, pastes: true },
+};
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// WebCodecs codec strings and the WebM codec IDs they are stored under
+const ENCODER_CODECS = [
+  { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+  { codec: 'vp8', codecId: 'V_VP8' },
+];
+// Mostly still text, so a low bitrate per pixel stays sharp
+const BITS_PER_PIXEL = 0.08;
+const KEYFRAME_SECONDS = 2;
+// Frames handed to the encoder but not yet encoded before drawing waits
+const MAX_QUEUED_FRAMES = 8;
+
+const FONT_TEXT = "Georgia, 'Times New Roman', serif";
+const FONT_UI = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+const COLOR_BACKGROUND = '#f9fafb';
+const COLOR_TEXT = '#1f2937';
+const COLOR_MUTED = '#6b7280';
+const COLOR_PASTE = '#fde68a';
+const COLOR_CARET = '#2563eb';
+const COLOR_BAR = '#111827';
+
+export function canRecordVideo() {
+  return canEncodeVideo() || canRecordRealtime();
+}
+
+/**
+ * Whether videos render faster than real time here (with WebCodecs).
+ */
+export function canEncodeVideo() {
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+function canRecordRealtime() {
+  return typeof MediaRecorder !== 'undefined'
+    && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+    && MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Length of the video in ms for `doc` with the given options.
+ */
+export function videoDuration(doc, options = {}) {
+  const opts = mergeOptions(options);
+  const clock = getPlaybackTimes(getMonotonicTimes(doc.keystrokeLog), opts.timing);
+  const length = clock.length > 0 ? clock[clock.length - 1] : 0;
+  return length / opts.speed + opts.holdMs;
+}
+
+/**
+ * Render the replay of `doc` and resolve to a WebM Blob. Options are
+ * merged over DEFAULT_VIDEO_OPTIONS; `onProgress(fraction)` is called once
+ * per frame and `signal` (an AbortSignal) cancels the recording.
+ */
+export async function recordReplayVideo(doc, options = {}) {
+  if (!canRecordVideo()) throw new Error('This browser cannot record video. Try a recent version of Chrome, Edge or Firefox.');
+
+  const opts = mergeOptions(options);
+  const canvas = document.createElement('canvas');
+  canvas.width = opts.width;
+  canvas.height = opts.height;
+  const frame = new FrameRenderer(canvas, doc.title || DEFAULT_TITLE, opts.overlay);
+
+  let pastes = [];
+  let position = 0;
+  const engine = new ReplayEngine(doc, {
+    timing: opts.timing,
+    onProgress: (progress) => {
+      if (progress.event) pastes = updatePasteRanges(pastes, progress.event);
+      position = progress.position;
+    },
+  });
+
+  const frameMs = 1000 / opts.fps;
+  const totalFrames = Math.ceil((engine.duration / opts.speed + opts.holdMs) / frameMs) + 1;
+
+  // Draw frame f on the canvas; frames are drawn in order
+  const drawFrame = (f) => {
+    if (opts.signal && opts.signal.aborted) throw new DOMException('Video export cancelled', 'AbortError');
+
+    // Apply every event due by this frame's point on the playback clock
+    const playbackTime = f * frameMs * opts.speed;
+    while (engine.index < engine.total && engine.playbackTimeAt(engine.index + 1) <= playbackTime) {
+      engine.stepForward();
+    }
+
+    frame.draw({
+      content: engine.content,
+      position,
+      pastes,
+      index: engine.index,
+      total: engine.total,
+      elapsed: engine.elapsedAt(engine.index),
+      playbackTime: engine.playbackTimeAt(engine.index),
+    });
+    if (opts.onProgress) opts.onProgress((f + 1) / totalFrames);
+  };
+
+  const encoding = canEncodeVideo() ? await findEncoderConfig(opts) : null;
+  if (encoding) return encodeFrames(canvas, encoding, totalFrames, drawFrame, opts);
+  if (!canRecordRealtime()) throw new Error('This browser cannot encode video in a supported format.');
+  return recordFrames(canvas, totalFrames, drawFrame, opts);
+}
+
+// First WebM codec the encoder supports at this size, or null
+async function findEncoderConfig(opts) {
+  for (const { codec, codecId } of ENCODER_CODECS) {
+    const config = {
+      codec,
+      width: opts.width,
+      height: opts.height,
+      framerate: opts.fps,
+      bitrate: Math.round(opts.width * opts.height * opts.fps * BITS_PER_PIXEL),
+    };
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) return { config, codecId };
+    } catch { /* try the next codec */ }
+  }
+  return null;
+}
+
+// Encode each frame with its timestamp in the video, as fast as the
+// encoder keeps up
+async function encodeFrames(canvas, { config, codecId }, totalFrames, drawFrame, opts) {
+  const writer = new WebMWriter({ codec: codecId, width: opts.width, height: opts.height, fps: opts.fps });
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => writer.addChunk(chunk),
+    error: (err) => { failure = err; },
+  });
+  encoder.configure(config);
+
+  const frameUs = 1e6 / opts.fps;
+  const keyframeEvery = Math.round(opts.fps * KEYFRAME_SECONDS);
+  try {
+    for (let f = 0; f < totalFrames; f++) {
+      drawFrame(f);
+      const videoFrame = new VideoFrame(canvas, { timestamp: Math.round(f * frameUs), duration: Math.round(frameUs) });
+      encoder.encode(videoFrame, { keyFrame: f % keyframeEvery === 0 });
+      videoFrame.close();
+
+      // Wait for the encoder when it falls behind, and let the page show
+      // progress about once per second of video
+      while (encoder.encodeQueueSize > MAX_QUEUED_FRAMES && !failure) await sleep(1);
+      if (failure) throw failure;
+      if (f % opts.fps === 0) await sleep(0);
+    }
+    await encoder.flush();
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+  return writer.finish();
+}
+
+// Capture frames with MediaRecorder, paced in real time
+async function recordFrames(canvas, totalFrames, drawFrame, opts) {
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+  const frameMs = 1000 / opts.fps;
+  recorder.start(1000);
+  const start = performance.now();
+  try {
+    for (let f = 0; f < totalFrames; f++) {
+      drawFrame(f);
+      track.requestFrame();
+
+      // Pace frames against the start time so delays don't accumulate
+      const wait = start + (f + 1) * frameMs - performance.now();
+      if (wait > 0) await sleep(wait);
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+function mergeOptions(options) {
+  return {
+    ...DEFAULT_VIDEO_OPTIONS,
+    ...options,
+    timing: { ...DEFAULT_VIDEO_OPTIONS.timing, ...options.timing },
+    overlay: { ...DEFAULT_VIDEO_OPTIONS.overlay, ...options.overlay },
+  };
+}
+
+// Draws one frame: the title, the text wrapped to the page with the caret
+// kept in view, and an optional status bar
+class FrameRenderer {
+  constructor(canvas, title, overlay) {
+    this.ctx = canvas.getContext('2d');
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.title = title;
+    this.overlay = overlay;
+
+    const scale = this.height / 720;
+    this.fontSize = Math.round(22 * scale);
+    this.lineHeight = Math.round(this.fontSize * 1.6);
+    this.padding = Math.round(56 * scale);
+    this.barHeight = overlay.timestamp || overlay.counter ? Math.round(40 * scale) : 0;
+    this.titleHeight = Math.round(48 * scale);
+    this._widths = new Map();
+  }
+
+  draw({ content, position, pastes, index, total, elapsed, playbackTime }) {
+    const ctx = this.ctx;
+    const scale = this.height / 720;
+    ctx.fillStyle = COLOR_BACKGROUND;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = COLOR_MUTED;
+    ctx.font = `600 ${Math.round(16 * scale)}px ${FONT_UI}`;
+    ctx.fillText(this.title, this.padding, Math.round(20 * scale), this.width - 2 * this.padding);
+
+    this._drawText(content, position, this.overlay.pastes ? pastes : []);
+    if (this.barHeight) this._drawBar(index, total, elapsed, playbackTime);
+  }
+
+  _drawText(content, position, pastes) {
+    const ctx = this.ctx;
+    ctx.font = `${this.fontSize}px ${FONT_TEXT}`;
+    const maxWidth = this.width - 2 * this.padding;
+    const lines = this._wrap(content, maxWidth);
+
+    // Scroll so the caret's line stays a couple of lines above the bottom
+    const top = this.titleHeight + Math.round(this.padding / 2);
+    const visible = Math.max(1, Math.floor((this.height - top - this.barHeight - this.padding / 2) / this.lineHeight));
+    let caretLine = lines.findIndex((line) => position <= line.end);
+    if (caretLine < 0) caretLine = lines.length - 1;
+    const first = Math.max(0, Math.min(caretLine - visible + 2, lines.length - visible));
+
+    for (let l = first; l < Math.min(lines.length, first + visible); l++) {
+      const line = lines[l];
+      const y = top + (l - first) * this.lineHeight;
+      const text = content.slice(line.start, line.end);
+      const xAt = (offset) => this.padding + ctx.measureText(text.slice(0, offset - line.start)).width;
+      const textY = y + (this.lineHeight - this.fontSize) / 2;
+
+      for (const range of pastes) {
+        const start = Math.max(range.start, line.start);
+        const end = Math.min(range.end, line.end);
+        if (start >= end) continue;
+        ctx.fillStyle = COLOR_PASTE;
+        ctx.fillRect(xAt(start), textY - 2, xAt(end) - xAt(start), this.fontSize + 6);
+      }
+
+      ctx.fillStyle = COLOR_TEXT;
+      ctx.fillText(text, this.padding, textY);
+
+      if (l === caretLine) {
+        ctx.fillStyle = COLOR_CARET;
+        ctx.fillRect(Math.round(xAt(Math.min(position, line.end))), textY - 2, 2, this.fontSize + 6);
+      }
+    }
+  }
+
+  // Greedy word wrap. Returns [{ start, end }] offsets into content,
+  // excluding the newline that ends a paragraph.
+  _wrap(content, maxWidth) {
+    const lines = [];
+    let offset = 0;
+    for (const paragraph of content.split('\n')) {
+      let start = offset;
+      let width = 0;
+      for (const match of paragraph.matchAll(/\S+\s*|\s+/g)) {
+        const wordStart = offset + match.index;
+        const w = this._measure(match[0]);
+        if (width + w > maxWidth && wordStart > start) {
+          lines.push({ start, end: wordStart });
+          start = wordStart;
+          width = 0;
+        }
+        width += w;
+      }
+      lines.push({ start, end: offset + paragraph.length });
+      offset += paragraph.length + 1;
+    }
+    return lines;
+  }
+
+  // Word widths are cached; the text changes a character at a time, so
+  // most words are measured once per video
+  _measure(word) {
+    let w = this._widths.get(word);
+    if (w === undefined) {
+      w = this.ctx.measureText(word).width;
+      this._widths.set(word, w);
+    }
+    return w;
+  }
+
+  _drawBar(index, total, elapsed, playbackTime) {
+    const ctx = this.ctx;
+    const scale = this.height / 720;
+    const y = this.height - this.barHeight;
+    ctx.fillStyle = COLOR_BAR;
+    ctx.fillRect(0, y, this.width, this.barHeight);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `${Math.round(15 * scale)}px ${FONT_UI}`;
+    ctx.textBaseline = 'middle';
+    const midY = y + this.barHeight / 2;
+
+    if (this.overlay.timestamp) {
+      ctx.textAlign = 'left';
+      ctx.fillText(`${formatTime(elapsed)} real \u00b7 ${formatTime(playbackTime)} playback`, this.padding, midY);
+    }
+    if (this.overlay.counter) {
+      ctx.textAlign = 'right';
+      ctx.fillText(`Event ${formatNumber(index)} / ${formatNumber(total)}`, this.width - this.padding, midY);
+    }
+  }
+}
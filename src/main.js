@@ -2,16 +2,19 @@
 
 import { Editor } from './core/editor.js';
 import { listDocuments, deleteDocument, loadDocument } from './core/storage.js';
-import { exportToJSON, importFromJSON } from './features/export.js';
+import { exportToJSON, exportToHTML, exportCertificate, exportText, importFromJSON, generateShareURL } from './features/export.js';
+import { canCompress } from './features/compact.js';
+import { defaultPaperSize } from './features/certificate.js';
 import { analyzeWritingProfile } from './features/analytics.js';
+import { computeAuthenticityScore } from './features/scoring.js';
 import { showNotification, showModal } from './ui/components.js';
-import { renderDocumentList, renderWritingProfile } from './ui/views.js';
-import { formatNumber, formatTime, countWords } from './utils/helpers.js';
+import { renderDocumentList, renderWritingProfile, renderShareLink, renderShareFallback, renderDownloadOptions, renderTextExport, renderCertificateOptions } from './ui/views.js';
+import { formatNumber, formatTime, countWords, DEFAULT_TITLE } from './utils/helpers.js';
 import { getSelectionOffsets, setCaretOffset, getTextContent } from './utils/caret.js';
 
 // Check crypto availability
 if (!crypto.subtle) {
-  console.warn('[WriteProof] Web Crypto API not available (non-secure context). Using fallback hashing. For full SHA-256, serve over HTTPS or localhost.');
+  console.warn('[WriteProof] Web Crypto API not available (non-secure context). Using built-in SHA-256; device signing is disabled. Serve over HTTPS or localhost to sign documents.');
 }
 
 // DOM elements
@@ -38,7 +41,15 @@ const linkDialogCancel = document.getElementById('link-dialog-cancel');
 const linkDialogClose = document.getElementById('link-dialog-close');
 
 // Initialize editor
+// Auto-save retries every few seconds; report a failure once until a save succeeds
+let saveErrorShown = false;
+
 const editor = new Editor(textarea, {
+  onError: (err) => {
+    if (saveErrorShown) return;
+    saveErrorShown = true;
+    showNotification(err.message, 'error', 10000);
+  },
   onUpdate: (state) => {
     if (!state) return;
     wordCountEl.textContent = formatNumber(state.wordCount);
@@ -46,6 +57,7 @@ const editor = new Editor(textarea, {
     sessionTimeEl.textContent = state.formattedTime;
     saveStatusEl.textContent = state.isDirty ? 'Unsaved changes' : 'Saved';
     saveStatusEl.style.color = state.isDirty ? 'var(--color-warning)' : 'var(--color-gray-400)';
+    if (!state.isDirty) saveErrorShown = false;
   },
 });
 
@@ -68,12 +80,12 @@ textarea.addEventListener('keydown', (e) => {
 });
 
 // Load document from URL param or create new
-function init() {
+async function init() {
   const params = new URLSearchParams(window.location.search);
   const docId = params.get('doc');
 
   if (docId) {
-    const doc = editor.loadDocument(docId);
+    const doc = await editor.loadDocument(docId);
     if (doc) {
       titleInput.value = doc.title;
     } else {
@@ -82,9 +94,9 @@ function init() {
     }
   } else {
     // Load most recent document or create new
-    const docs = listDocuments();
+    const docs = await listDocuments();
     if (docs.length > 0) {
-      const doc = editor.loadDocument(docs[0].id);
+      const doc = await editor.loadDocument(docs[0].id);
       if (doc) titleInput.value = doc.title;
     } else {
       editor.createDocument();
@@ -93,10 +105,12 @@ function init() {
   updatePlaceholder();
 }
 
-// Title change
-titleInput.addEventListener('input', () => {
+// Title change: recorded once the title is committed (Enter or leaving the
+// field), not per keystroke, so each rename is one event in the chain
+function commitTitle() {
   editor.setTitle(titleInput.value);
-});
+}
+titleInput.addEventListener('change', commitTitle);
 
 // Enter on title → return focus to editor at previous caret position
 let lastEditorOffset = 0;
@@ -112,37 +126,48 @@ titleInput.addEventListener('keydown', (e) => {
 });
 
 // New document
-document.getElementById('btn-new').addEventListener('click', () => {
-  editor.destroy();
+document.getElementById('btn-new').addEventListener('click', async () => {
+  await editor.destroy();
   editor.createDocument();
-  titleInput.value = 'Untitled Document';
+  titleInput.value = DEFAULT_TITLE;
   textarea.focus();
   updatePlaceholder();
   showNotification('New document created', 'success');
 });
 
 // My Documents
-document.getElementById('btn-docs').addEventListener('click', () => {
-  const docs = listDocuments();
+document.getElementById('btn-docs').addEventListener('click', async () => {
+  let docs;
+  try {
+    docs = await listDocuments();
+  } catch (err) {
+    showNotification(err.message, 'error');
+    return;
+  }
   const content = renderDocumentList(docs, {
-    onOpen: (id) => {
+    onOpen: async (id) => {
       modal.close();
-      editor.destroy();
-      const doc = editor.loadDocument(id);
+      await editor.destroy();
+      const doc = await editor.loadDocument(id);
       if (doc) {
         titleInput.value = doc.title;
         updatePlaceholder();
         showNotification('Document loaded', 'success');
       }
     },
-    onDelete: (id) => {
-      deleteDocument(id);
+    onDelete: async (id) => {
+      try {
+        await deleteDocument(id);
+      } catch (err) {
+        showNotification(err.message, 'error');
+        return;
+      }
       // If we deleted the current document, create a new one
       const state = editor.getState();
       if (state && state.id === id) {
-        editor.destroy();
+        await editor.destroy({ save: false });
         editor.createDocument();
-        titleInput.value = 'Untitled Document';
+        titleInput.value = DEFAULT_TITLE;
         updatePlaceholder();
       }
       // Refresh the modal
@@ -166,8 +191,66 @@ document.getElementById('btn-export').addEventListener('click', async () => {
     return;
   }
   await editor.save();
-  exportToJSON(doc);
-  showNotification('Document exported', 'success');
+  const modal = showModal('Download', renderDownloadOptions({
+    compressed: canCompress(),
+    onDownload: async (format) => {
+      try {
+        await exportToJSON(doc, { format });
+        modal.close();
+        showNotification('Document exported', 'success');
+      } catch (err) {
+        showNotification(err.message, 'error');
+      }
+    },
+  }));
+});
+
+document.getElementById('btn-export-text').addEventListener('click', async () => {
+  const doc = editor.getDocument();
+  if (!doc || !doc.content) {
+    showNotification('No text to export. Start writing first.', 'warning');
+    return;
+  }
+  await editor.save();
+  const modal = showModal('Export Text', renderTextExport({
+    onExport: (format, options) => {
+      exportText(doc, format, options);
+      modal.close();
+      showNotification('Text exported', 'success');
+    },
+  }));
+});
+
+document.getElementById('btn-report').addEventListener('click', async () => {
+  const doc = editor.getDocument();
+  if (!doc) {
+    showNotification('No document to export. Start writing first.', 'warning');
+    return;
+  }
+  await editor.save();
+  exportToHTML(doc);
+  showNotification('Report downloaded. Open it in any browser to replay and verify.', 'success', 4000);
+});
+
+document.getElementById('btn-certificate').addEventListener('click', async () => {
+  const doc = editor.getDocument();
+  if (!doc || doc.keystrokeLog.length < 10) {
+    showNotification('Write at least a few sentences before making a certificate.', 'warning');
+    return;
+  }
+  await editor.save();
+  const modal = showModal('Authorship Certificate', renderCertificateOptions({
+    defaultSize: defaultPaperSize(),
+    onCreate: async (options) => {
+      try {
+        await exportCertificate(doc, options);
+        modal.close();
+        showNotification('Certificate downloaded', 'success');
+      } catch (err) {
+        showNotification(err.message, 'error');
+      }
+    },
+  }));
 });
 
 // Import
@@ -180,7 +263,7 @@ fileInput.addEventListener('change', async (e) => {
   if (!file) return;
   try {
     const doc = await importFromJSON(file);
-    editor.destroy();
+    await editor.destroy();
     editor.loadDocumentData(doc);
     titleInput.value = doc.title;
     updatePlaceholder();
@@ -191,6 +274,42 @@ fileInput.addEventListener('change', async (e) => {
   fileInput.value = '';
 });
 
+// Share link
+document.getElementById('btn-share').addEventListener('click', async () => {
+  const doc = editor.getDocument();
+  if (!doc || doc.keystrokeLog.length === 0) {
+    showNotification('Nothing to share yet. Start writing first.', 'warning');
+    return;
+  }
+  await editor.save();
+
+  let url;
+  try {
+    url = await generateShareURL(doc);
+  } catch (err) {
+    const modal = showModal('Share Link', renderShareFallback(err.message, {
+      onDownload: async () => {
+        try {
+          await exportToJSON(doc);
+          modal.close();
+          showNotification('Document exported', 'success');
+        } catch (err) {
+          showNotification(err.message, 'error');
+        }
+      },
+    }));
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    showNotification('Share link copied to clipboard', 'success');
+  } catch {
+    // Clipboard API is unavailable in non-secure contexts or when denied
+    showModal('Share Link', renderShareLink(url));
+  }
+});
+
 // Replay
 document.getElementById('btn-replay').addEventListener('click', async () => {
   const doc = editor.getDocument();
@@ -212,7 +331,9 @@ document.getElementById('btn-score').addEventListener('click', async () => {
 
   await editor.save();
   const profile = analyzeWritingProfile(doc);
-  const content = renderWritingProfile(profile);
+  const content = renderWritingProfile(profile, computeAuthenticityScore(profile), {
+    onSeekRange: (range) => window.open(`verify.html?doc=${doc.id}&seek=${range.startIndex}`, '_blank'),
+  });
   showModal('Writing Profile', content);
 });
 
@@ -220,6 +341,7 @@ document.getElementById('btn-score').addEventListener('click', async () => {
 document.addEventListener('keydown', async (e) => {
   if ((e.ctrlKey || e.metaKey) && e.key === 's') {
     e.preventDefault();
+    commitTitle();
     await editor.save();
     showNotification('Saved', 'success', 1500);
   }
@@ -227,12 +349,16 @@ document.addEventListener('keydown', async (e) => {
 
 // Save before unload
 window.addEventListener('beforeunload', () => {
+  commitTitle();
   editor.destroy();
 });
 
 // Save on visibility change
 document.addEventListener('visibilitychange', async () => {
-  if (document.hidden) await editor.save();
+  if (document.hidden) {
+    commitTitle();
+    await editor.save();
+  }
 });
 
 // Welcome panel
@@ -363,6 +489,7 @@ function handleLinkDialogSubmit() {
       afterRange.setStartAfter(a);
       afterRange.collapse(true);
       sel.addRange(afterRange);
+      editor.syncLinks();
     }
     closeLinkDialog();
     return;
@@ -394,6 +521,7 @@ function handleLinkDialogSubmit() {
     } else {
       textarea.appendChild(a);
     }
+    editor.syncLinks();
     closeLinkDialog();
     return;
   }
@@ -505,7 +633,7 @@ linkPopupRemove.addEventListener('click', () => {
 // --- Init ---
 
 try {
-  init();
+  await init();
   if (!localStorage.getItem('writeproof_welcomed')) {
     openWelcome();
   }
@@ -1,4 +1,10 @@
-// Canvas-based 2D scatter plot renderer
+// Canvas chart renderers for the compare page
+//
+// Every chart takes the same series model, [{ id, label, color, visible,
+// x, y }] with one x and y value per event, and shares the axes, grid and
+// tick drawing in Chart. ScatterChart plots events as dots, LineChart joins
+// them, DensityChart shades a 2D histogram of them, and HistogramChart and
+// BoxPlotChart show the distribution of one dimension per series.
 
 const COLORS = [
   '#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed',
@@ -9,8 +15,38 @@ export function getSeriesColor(index) {
   return COLORS[index % COLORS.length];
 }
 
-export class ScatterChart {
-  constructor(canvas, options = {}) {
+// Pointer distance (px) within which a dot counts as hovered
+const HIT_RADIUS = 6;
+const DOT_RADIUS = 2;
+// Pointer movement (px) that turns a click into a drag
+const DRAG_THRESHOLD = 3;
+// Zoom limits: the smallest view span relative to the values shown (below
+// it ticks run out of float precision), and the largest relative to the
+// span that fits all data
+const MIN_ZOOM_SPAN = 1e-9;
+const MAX_ZOOM_OUT = 4;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// What dragging on the plot does
+const TOOL_CURSORS = { pan: 'grab', box: 'crosshair', lasso: 'crosshair' };
+
+// About how many bars a histogram has
+const HISTOGRAM_BINS = 40;
+const BOX_MAX_WIDTH = 60;
+// Side (px) of a density cell
+const DENSITY_CELL = 8;
+// Density color ramp, from the sparsest cell to the busiest
+const DENSITY_LOW = [219, 234, 254];
+const DENSITY_HIGH = [30, 58, 138];
+
+/**
+ * Base for the chart renderers: canvas sizing, the series model and axes.
+ * Subclasses implement draw(plot), where plot is the { left, top, width,
+ * height } of the area inside the axes in CSS pixels.
+ */
+export class Chart {
+  constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.margin = { top: 20, right: 20, bottom: 50, left: 60 };
@@ -18,13 +54,15 @@ export class ScatterChart {
     this.xLabel = '';
     this.yLabel = '';
     this._resizeTimer = null;
+    // Aborted on destroy() to remove the canvas listeners subclasses add
+    this._events = new AbortController();
 
     this._ro = new ResizeObserver(() => {
       clearTimeout(this._resizeTimer);
       this._resizeTimer = setTimeout(() => this.resize(), 100);
     });
     this._ro.observe(canvas.parentElement);
-    this.resize();
+    this._measure();
   }
 
   setData(series) {
@@ -47,6 +85,11 @@ export class ScatterChart {
   }
 
   resize() {
+    this._measure();
+    this.render();
+  }
+
+  _measure() {
     const parent = this.canvas.parentElement;
     const dpr = window.devicePixelRatio || 1;
     const w = parent.clientWidth;
@@ -58,23 +101,29 @@ export class ScatterChart {
     this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     this.width = w;
     this.height = h;
-    this.render();
+  }
+
+  visibleSeries() {
+    return this.series.filter((s) => s.visible && s.x && s.y);
   }
 
   render() {
-    const ctx = this.ctx;
-    const m = this.margin;
     const w = this.width;
     const h = this.height;
     if (!w || !h) return;
 
-    ctx.clearRect(0, 0, w, h);
+    this.ctx.clearRect(0, 0, w, h);
 
-    const plotW = w - m.left - m.right;
-    const plotH = h - m.top - m.bottom;
-    if (plotW <= 0 || plotH <= 0) return;
+    const m = this.margin;
+    const plot = { left: m.left, top: m.top, width: w - m.left - m.right, height: h - m.top - m.bottom };
+    if (plot.width <= 0 || plot.height <= 0) return;
+    this.draw(plot);
+  }
+
+  draw() {}
 
-    // Compute data bounds across visible series
+  // Range and ticks that fit all visible data, on nice tick values
+  _fitView() {
     let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
     let hasData = false;
     for (const s of this.series) {
@@ -110,26 +159,34 @@ export class ScatterChart {
     yMin = yTicks[0];
     yMax = yTicks[yTicks.length - 1];
 
-    const xRange = xMax - xMin || 1;
-    const yRange = yMax - yMin || 1;
+    return { xMin, xMax, yMin, yMax, xTicks, yTicks };
+  }
 
-    function toX(v) { return m.left + ((v - xMin) / xRange) * plotW; }
-    function toY(v) { return m.top + plotH - ((v - yMin) / yRange) * plotH; }
+  /**
+   * Grid, axes, tick labels and axis titles. `toX` and `toY` map data
+   * values to canvas pixels; `xTickLabel` formats x ticks (categories, for
+   * example) and `xGrid: false` leaves out vertical grid lines.
+   */
+  _drawAxes(plot, { xTicks, yTicks, toX, toY, xTickLabel = formatTick, xGrid = true }) {
+    const ctx = this.ctx;
+    const bottom = plot.top + plot.height;
 
     // Grid lines
     ctx.strokeStyle = '#e5e7eb';
     ctx.lineWidth = 1;
     ctx.setLineDash([4, 4]);
     ctx.beginPath();
-    for (const t of xTicks) {
-      const x = Math.round(toX(t)) + 0.5;
-      ctx.moveTo(x, m.top);
-      ctx.lineTo(x, m.top + plotH);
+    if (xGrid) {
+      for (const t of xTicks) {
+        const x = Math.round(toX(t)) + 0.5;
+        ctx.moveTo(x, plot.top);
+        ctx.lineTo(x, bottom);
+      }
     }
     for (const t of yTicks) {
       const y = Math.round(toY(t)) + 0.5;
-      ctx.moveTo(m.left, y);
-      ctx.lineTo(m.left + plotW, y);
+      ctx.moveTo(plot.left, y);
+      ctx.lineTo(plot.left + plot.width, y);
     }
     ctx.stroke();
     ctx.setLineDash([]);
@@ -138,9 +195,9 @@ export class ScatterChart {
     ctx.strokeStyle = '#d1d5db';
     ctx.lineWidth = 1;
     ctx.beginPath();
-    ctx.moveTo(m.left, m.top);
-    ctx.lineTo(m.left, m.top + plotH);
-    ctx.lineTo(m.left + plotW, m.top + plotH);
+    ctx.moveTo(plot.left, plot.top);
+    ctx.lineTo(plot.left, bottom);
+    ctx.lineTo(plot.left + plot.width, bottom);
     ctx.stroke();
 
     // Tick labels
@@ -150,13 +207,13 @@ export class ScatterChart {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
     for (const t of xTicks) {
-      ctx.fillText(formatTick(t), toX(t), m.top + plotH + 6);
+      ctx.fillText(xTickLabel(t), toX(t), bottom + 6);
     }
 
     ctx.textAlign = 'right';
     ctx.textBaseline = 'middle';
     for (const t of yTicks) {
-      ctx.fillText(formatTick(t), m.left - 6, toY(t));
+      ctx.fillText(formatTick(t), plot.left - 6, toY(t));
     }
 
     // Axis labels
@@ -165,47 +222,820 @@ export class ScatterChart {
 
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
-    ctx.fillText(this.xLabel, m.left + plotW / 2, h - 14);
+    ctx.fillText(this.xLabel, plot.left + plot.width / 2, this.height - 14);
 
     ctx.save();
-    ctx.translate(14, m.top + plotH / 2);
+    ctx.translate(14, plot.top + plot.height / 2);
     ctx.rotate(-Math.PI / 2);
     ctx.textAlign = 'center';
     ctx.textBaseline = 'top';
     ctx.fillText(this.yLabel, 0, 0);
     ctx.restore();
+  }
+
+  // Clip drawing to the plot area until the matching ctx.restore()
+  _clip(plot) {
+    this.ctx.save();
+    this.ctx.beginPath();
+    this.ctx.rect(plot.left, plot.top, plot.width, plot.height);
+    this.ctx.clip();
+  }
+
+  destroy() {
+    this._ro.disconnect();
+    clearTimeout(this._resizeTimer);
+    this._events.abort();
+  }
+}
+
+/**
+ * Options: `tooltip(seriesId, index)` returns the content (a string or a
+ * DOM node) shown when hovering a dot, and `onPointClick(seriesId, index)`
+ * is called when one is clicked. `index` is the point's position in the
+ * series' x and y arrays.
+ *
+ * The wheel zooms around the pointer. Dragging pans with the 'pan' tool and
+ * brushes a selection with 'box' or 'lasso' (see setTool); holding Shift
+ * adds to the selection. `onSelect(selection)` gets the new selection as
+ * [{ seriesId, indices }] whenever it changes, and `onViewChange(zoomed)`
+ * is called when the view is zoomed, panned or reset.
+ */
+export class ScatterChart extends Chart {
+  constructor(canvas, options = {}) {
+    super(canvas);
+    this._tooltip = options.tooltip || null;
+    this._onPointClick = options.onPointClick || null;
+    this._onSelect = options.onSelect || null;
+    this._onViewChange = options.onViewChange || null;
+    this._points = null; // PointIndex of the dots drawn by the last render
+    this._hover = null;
+    this._scale = null;  // data range and plot size of the last render
+    this._view = null;   // zoomed data range, or null to fit the data
+    this._drag = null;
+    this._frame = null;
+    this._selection = new Map(); // seriesId -> Uint8Array mask over points
+    this.tool = 'pan';
+
+    this._tooltipEl = document.createElement('div');
+    this._tooltipEl.className = 'chart-tooltip';
+    this._tooltipEl.setAttribute('role', 'tooltip');
+    this._ringEl = document.createElement('div');
+    this._ringEl.className = 'chart-hover-ring';
+    this._tooltipEl.hidden = true;
+    this._ringEl.hidden = true;
+    this._brushEl = document.createElementNS(SVG_NS, 'svg');
+    this._brushEl.setAttribute('class', 'chart-brush');
+    this._brushPath = document.createElementNS(SVG_NS, 'path');
+    this._brushEl.appendChild(this._brushPath);
+    canvas.parentElement.append(this._brushEl, this._ringEl, this._tooltipEl);
+    canvas.style.cursor = TOOL_CURSORS[this.tool];
+
+    const { signal } = this._events;
+    canvas.addEventListener('mousemove', (e) => {
+      if (!this._drag) this._setHover(this.pointAt(e.offsetX, e.offsetY));
+    }, { signal });
+    canvas.addEventListener('mouseleave', () => this._setHover(null), { signal });
+    canvas.addEventListener('mousedown', (e) => this._startDrag(e), { signal });
+    canvas.addEventListener('wheel', (e) => this._zoom(e), { passive: false, signal });
+  }
+
+  setData(series) {
+    // Keep the selection for series that are still plotted
+    let pruned = false;
+    for (const [id, mask] of this._selection) {
+      const s = series.find((s) => s.id === id);
+      if (!s || !s.x || s.x.length !== mask.length) {
+        this._selection.delete(id);
+        pruned = true;
+      }
+    }
+    if (pruned) this._selectionChanged();
+    super.setData(series);
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    this.canvas.style.cursor = TOOL_CURSORS[tool];
+  }
+
+  /**
+   * Go back to fitting the view to all visible data.
+   */
+  resetView() {
+    this._setView(null);
+  }
+
+  getSelection() {
+    const selection = [];
+    for (const [seriesId, mask] of this._selection) {
+      const indices = [];
+      for (let i = 0; i < mask.length; i++) if (mask[i]) indices.push(i);
+      if (indices.length) selection.push({ seriesId, indices });
+    }
+    return selection;
+  }
+
+  clearSelection() {
+    if (this._selection.size === 0) return;
+    this._selection.clear();
+    this._selectionChanged();
+    this.render();
+  }
+
+  _selectionChanged() {
+    if (this._onSelect) this._onSelect(this.getSelection());
+  }
+
+  /**
+   * The dot nearest to canvas position (x, y) in CSS pixels, if one is
+   * within reach: { seriesId, index, x, y, color }. Null otherwise.
+   */
+  pointAt(x, y) {
+    if (!this._points) return null;
+    const hit = this._points.nearest(x, y, HIT_RADIUS);
+    if (!hit) return null;
+    const s = this.series[hit.series];
+    return { seriesId: s.id, index: hit.index, x: hit.x, y: hit.y, color: s.color };
+  }
+
+  _setHover(point) {
+    const prev = this._hover;
+    if (prev === point || (prev && point && prev.seriesId === point.seriesId && prev.index === point.index)) return;
+    this._hover = point;
+
+    const content = point && this._tooltip ? this._tooltip(point.seriesId, point.index) : null;
+    this.canvas.style.cursor = point && this._onPointClick ? 'pointer' : TOOL_CURSORS[this.tool];
+    this._ringEl.hidden = !point;
+    this._tooltipEl.hidden = !content;
+    if (!point) return;
+
+    const left = this.canvas.offsetLeft;
+    const top = this.canvas.offsetTop;
+    this._ringEl.style.left = `${left + point.x}px`;
+    this._ringEl.style.top = `${top + point.y}px`;
+    this._ringEl.style.borderColor = point.color;
+    if (!content) return;
+
+    this._tooltipEl.replaceChildren(content);
+    this._tooltipEl.style.left = '0px';
+    this._tooltipEl.style.top = '0px';
+    // Beside the dot, flipped to the other side near the right and bottom edges
+    const tipW = this._tooltipEl.offsetWidth;
+    const tipH = this._tooltipEl.offsetHeight;
+    const x = point.x + 12 + tipW > this.width ? point.x - 12 - tipW : point.x + 12;
+    const y = point.y + 12 + tipH > this.height ? point.y - 12 - tipH : point.y + 12;
+    this._tooltipEl.style.left = `${left + Math.max(0, x)}px`;
+    this._tooltipEl.style.top = `${top + Math.max(0, y)}px`;
+  }
+
+  // Data coordinates under canvas position (x, y)
+  _toData(x, y) {
+    const { xMin, xMax, yMin, yMax, plotW, plotH } = this._scale;
+    const m = this.margin;
+    return {
+      x: xMin + ((x - m.left) / plotW) * (xMax - xMin),
+      y: yMin + ((m.top + plotH - y) / plotH) * (yMax - yMin),
+    };
+  }
+
+  _setView(view) {
+    this._view = view;
+    this._scheduleRender();
+    if (this._onViewChange) this._onViewChange(view !== null);
+  }
+
+  _scheduleRender() {
+    if (this._frame) return;
+    this._frame = requestAnimationFrame(() => {
+      this._frame = null;
+      this.render();
+    });
+  }
+
+  // Scale the view around the pointer, so the data under it stays put
+  _zoom(e) {
+    if (!this._scale) return;
+    e.preventDefault();
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const factor = Math.exp(delta * 0.002);
+    const { xMin, xMax, yMin, yMax } = this._scale;
+    const at = this._toData(e.offsetX, e.offsetY);
+    const fit = this._fitView();
+    const [x0, x1] = zoomRange(xMin, xMax, at.x, factor, fit.xMax - fit.xMin);
+    const [y0, y1] = zoomRange(yMin, yMax, at.y, factor, fit.yMax - fit.yMin);
+    this._setView({ xMin: x0, xMax: x1, yMin: y0, yMax: y1 });
+  }
+
+  _startDrag(e) {
+    if (e.button !== 0 || !this._scale) return;
+    e.preventDefault();
+    const rect = this.canvas.getBoundingClientRect();
+    const pos = (ev) => ({ x: ev.clientX - rect.left, y: ev.clientY - rect.top });
+    const start = pos(e);
+    const { xMin, xMax, yMin, yMax, plotW, plotH } = this._scale;
+    const drag = { tool: this.tool, path: [start], moved: false };
+    this._drag = drag;
+    this._setHover(null);
+    if (drag.tool === 'pan') this.canvas.style.cursor = 'grabbing';
+
+    const move = (ev) => {
+      const p = pos(ev);
+      if (!drag.moved && Math.hypot(p.x - start.x, p.y - start.y) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      if (drag.tool === 'pan') {
+        const dx = ((p.x - start.x) / plotW) * (xMax - xMin);
+        const dy = ((p.y - start.y) / plotH) * (yMax - yMin);
+        this._setView({ xMin: xMin - dx, xMax: xMax - dx, yMin: yMin + dy, yMax: yMax + dy });
+      } else {
+        if (drag.tool === 'box') drag.path[1] = p;
+        else drag.path.push(p);
+        this._drawBrush(drag);
+      }
+    };
+    const up = (ev) => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+      this._drag = null;
+      this.canvas.style.cursor = TOOL_CURSORS[this.tool];
+      this._brushEl.classList.remove('active');
+
+      if (drag.moved) {
+        if (drag.tool !== 'pan') this._brush(drag, ev.shiftKey);
+        return;
+      }
+      // A click: open the dot under the pointer, or clear the selection
+      const point = this.pointAt(start.x, start.y);
+      if (point && this._onPointClick) this._onPointClick(point.seriesId, point.index);
+      else if (drag.tool !== 'pan' && !ev.shiftKey) this.clearSelection();
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  }
+
+  _drawBrush(drag) {
+    const [a, b] = drag.path;
+    const d = drag.tool === 'box'
+      ? `M${a.x},${a.y}H${b.x}V${b.y}H${a.x}Z`
+      : `M${drag.path.map((p) => `${p.x},${p.y}`).join('L')}Z`;
+    this._brushPath.setAttribute('d', d);
+    this._brushEl.classList.add('active');
+  }
+
+  // Select the dots inside the brushed box or lasso
+  _brush(drag, add) {
+    if (!this._points) return;
+    const path = drag.tool === 'box'
+      ? [drag.path[0], { x: drag.path[1].x, y: drag.path[0].y }, drag.path[1], { x: drag.path[0].x, y: drag.path[1].y }]
+      : drag.path;
+    if (path.length < 3) return;
+
+    if (!add) this._selection.clear();
+    const xs = path.map((p) => p.x);
+    const ys = path.map((p) => p.y);
+    const points = this._points;
+    for (const k of points.within(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys))) {
+      if (drag.tool === 'lasso' && !insidePolygon(points.xs[k], points.ys[k], path)) continue;
+      const s = this.series[points.series[k]];
+      if (!this._selection.has(s.id)) this._selection.set(s.id, new Uint8Array(s.x.length));
+      this._selection.get(s.id)[points.indices[k]] = 1;
+    }
+    this._selectionChanged();
+    this.render();
+  }
+
+  render() {
+    this._points = null;
+    this._scale = null;
+    this._setHover(null);
+    super.render();
+  }
+
+  draw(plot) {
+    const ctx = this.ctx;
+    const m = this.margin;
+    const plotW = plot.width;
+    const plotH = plot.height;
+
+    let xMin, xMax, yMin, yMax, xTicks, yTicks;
+    if (this._view) {
+      ({ xMin, xMax, yMin, yMax } = this._view);
+      xTicks = niceTicks(xMin, xMax, 7).filter((t) => t >= xMin && t <= xMax);
+      yTicks = niceTicks(yMin, yMax, 7).filter((t) => t >= yMin && t <= yMax);
+    } else {
+      ({ xMin, xMax, yMin, yMax, xTicks, yTicks } = this._fitView());
+    }
+    this._scale = { xMin, xMax, yMin, yMax, plotW, plotH };
+
+    const xRange = xMax - xMin || 1;
+    const yRange = yMax - yMin || 1;
+
+    function toX(v) { return m.left + ((v - xMin) / xRange) * plotW; }
+    function toY(v) { return m.top + plotH - ((v - yMin) / yRange) * plotH; }
+
+    this._drawAxes(plot, { xTicks, yTicks, toX, toY });
 
     // Plot dots — clip to plot area
-    ctx.save();
-    ctx.beginPath();
-    ctx.rect(m.left, m.top, plotW, plotH);
-    ctx.clip();
+    this._clip(plot);
 
-    ctx.globalAlpha = 0.4;
-    for (const s of this.series) {
-      if (!s.visible || !s.x || !s.y) continue;
+    // With a selection, unselected dots fade and selected ones draw on top
+    const points = new PointIndex(this.width, this.height);
+    const selecting = this._selection.size > 0;
+    const inPlot = (px, py) => px >= m.left && px <= m.left + plotW && py >= m.top && py <= m.top + plotH;
+    const drawDots = (s, include) => {
       ctx.fillStyle = s.color;
       ctx.beginPath();
       for (let i = 0; i < s.x.length; i++) {
         const xv = s.x[i], yv = s.y[i];
-        if (!isFinite(xv) || !isFinite(yv)) continue;
+        if (!isFinite(xv) || !isFinite(yv) || !include(i)) continue;
         const px = toX(xv);
         const py = toY(yv);
-        ctx.moveTo(px + 2, py);
-        ctx.arc(px, py, 2, 0, Math.PI * 2);
+        ctx.moveTo(px + DOT_RADIUS, py);
+        ctx.arc(px, py, DOT_RADIUS, 0, Math.PI * 2);
       }
       ctx.fill();
+    };
+
+    const visible = this.visibleSeries();
+    ctx.globalAlpha = selecting ? 0.12 : 0.4;
+    for (const s of visible) {
+      const mask = this._selection.get(s.id);
+      drawDots(s, (i) => !mask || !mask[i]);
+    }
+    if (selecting) {
+      ctx.globalAlpha = 0.9;
+      for (const s of visible) {
+        const mask = this._selection.get(s.id);
+        if (mask) drawDots(s, (i) => mask[i]);
+      }
     }
     ctx.globalAlpha = 1;
     ctx.restore();
+
+    this.series.forEach((s, seriesIndex) => {
+      if (!s.visible || !s.x || !s.y) return;
+      for (let i = 0; i < s.x.length; i++) {
+        const px = toX(s.x[i]);
+        const py = toY(s.y[i]);
+        if (inPlot(px, py)) points.add(px, py, seriesIndex, i);
+      }
+    });
+    points.build();
+    this._points = points;
   }
 
   destroy() {
-    this._ro.disconnect();
-    clearTimeout(this._resizeTimer);
+    super.destroy();
+    cancelAnimationFrame(this._frame);
+    this.canvas.style.cursor = '';
+    this._brushEl.remove();
+    this._tooltipEl.remove();
+    this._ringEl.remove();
+  }
+}
+
+/**
+ * Each visible series drawn as a line through its points in x order.
+ */
+export class LineChart extends Chart {
+  draw(plot) {
+    const ctx = this.ctx;
+    const { xMin, xMax, yMin, yMax, xTicks, yTicks } = this._fitView();
+    const toX = (v) => plot.left + ((v - xMin) / (xMax - xMin)) * plot.width;
+    const toY = (v) => plot.top + plot.height - ((v - yMin) / (yMax - yMin)) * plot.height;
+
+    this._drawAxes(plot, { xTicks, yTicks, toX, toY });
+    this._clip(plot);
+
+    ctx.lineWidth = 1.5;
+    ctx.lineJoin = 'round';
+    ctx.globalAlpha = 0.8;
+    for (const s of this.visibleSeries()) {
+      ctx.strokeStyle = s.color;
+      ctx.beginPath();
+      // Points without a value break the line
+      let drawing = false;
+      for (const i of xOrder(s.x)) {
+        const xv = s.x[i], yv = s.y[i];
+        if (!isFinite(xv) || !isFinite(yv)) {
+          drawing = false;
+          continue;
+        }
+        if (drawing) ctx.lineTo(toX(xv), toY(yv));
+        else ctx.moveTo(toX(xv), toY(yv));
+        drawing = true;
+      }
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.restore();
+  }
+}
+
+/**
+ * Distribution of the x values of each visible series, as the share of the
+ * series' events in each bin so documents of different lengths compare.
+ * Bins run from the smallest value to the 99th percentile; the few values
+ * above it are counted in the last bin rather than stretching the axis.
+ */
+export class HistogramChart extends Chart {
+  draw(plot) {
+    const ctx = this.ctx;
+    const visible = this.visibleSeries().map((s) => ({ s, values: sortedFinite(s.x) }));
+
+    let lo = Infinity, hi = -Infinity;
+    for (const { values } of visible) {
+      if (!values.length) continue;
+      lo = Math.min(lo, values[0]);
+      hi = Math.max(hi, quantile(values, 0.99));
+    }
+    if (!isFinite(lo)) {
+      lo = 0; hi = 1;
+    } else if (hi <= lo) {
+      hi = lo + 1;
+    }
+
+    // Bin edges on nice values, so bars line up with the x ticks
+    const edges = niceTicks(lo, hi, HISTOGRAM_BINS + 1);
+    const binCount = edges.length - 1;
+    const binWidth = edges[1] - edges[0];
+    const xMin = edges[0];
+    const xMax = edges[binCount];
+
+    let maxShare = 0;
+    const bars = visible.map(({ s, values }) => {
+      const counts = new Float64Array(binCount);
+      for (const v of values) {
+        counts[Math.min(binCount - 1, Math.floor((v - xMin) / binWidth))]++;
+      }
+      for (let b = 0; b < binCount; b++) {
+        counts[b] = values.length ? (counts[b] / values.length) * 100 : 0;
+        if (counts[b] > maxShare) maxShare = counts[b];
+      }
+      return { s, shares: counts };
+    });
+
+    const xTicks = niceTicks(xMin, xMax, 7).filter((t) => t >= xMin && t <= xMax);
+    const yTicks = niceTicks(0, maxShare || 1, 6);
+    const yMax = yTicks[yTicks.length - 1];
+    const toX = (v) => plot.left + ((v - xMin) / (xMax - xMin)) * plot.width;
+    const toY = (v) => plot.top + plot.height - (v / yMax) * plot.height;
+
+    this._drawAxes(plot, { xTicks, yTicks, toX, toY });
+    this._clip(plot);
+
+    // Series overlap, so bars are see-through with a solid outline
+    const bottom = toY(0);
+    ctx.lineWidth = 1;
+    for (const { s, shares } of bars) {
+      ctx.fillStyle = s.color;
+      ctx.strokeStyle = s.color;
+      for (let b = 0; b < binCount; b++) {
+        if (!shares[b]) continue;
+        const x = toX(edges[b]);
+        const y = toY(shares[b]);
+        const w = toX(edges[b + 1]) - x;
+        ctx.globalAlpha = 0.3;
+        ctx.fillRect(x, y, w, bottom - y);
+        ctx.globalAlpha = 0.9;
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, bottom - y - 1);
+      }
+    }
+    ctx.globalAlpha = 1;
+    ctx.restore();
+  }
+}
+
+/**
+ * One box per visible series summarizing its y values: the box spans the
+ * quartiles with a line at the median, whiskers reach the furthest values
+ * within 1.5 IQR of the box, and values beyond them are drawn as dots.
+ */
+export class BoxPlotChart extends Chart {
+  draw(plot) {
+    const ctx = this.ctx;
+    const boxes = this.visibleSeries().map((s) => ({ s, stats: boxStats(sortedFinite(s.y)) }));
+
+    let lo = Infinity, hi = -Infinity;
+    for (const { stats } of boxes) {
+      if (!stats) continue;
+      lo = Math.min(lo, stats.min);
+      hi = Math.max(hi, stats.max);
+    }
+    if (!isFinite(lo)) {
+      lo = 0; hi = 1;
+    }
+    const pad = (hi - lo) * 0.05 || 0.5;
+    const yTicks = niceTicks(lo - pad, hi + pad, 7);
+    const yMin = yTicks[0];
+    const yMax = yTicks[yTicks.length - 1];
+
+    const slot = plot.width / Math.max(boxes.length, 1);
+    const toX = (i) => plot.left + (i + 0.5) * slot;
+    const toY = (v) => plot.top + plot.height - ((v - yMin) / (yMax - yMin)) * plot.height;
+    const xTicks = boxes.map((_, i) => i);
+    const xTickLabel = (i) => ellipsize(ctx, boxes[i].s.label || '', slot - 8);
+
+    this._drawAxes(plot, { xTicks, yTicks, toX, toY, xTickLabel, xGrid: false });
+    this._clip(plot);
+
+    const boxW = Math.min(BOX_MAX_WIDTH, slot * 0.5);
+    ctx.lineWidth = 1.5;
+    boxes.forEach(({ s, stats }, i) => {
+      if (!stats) return;
+      const cx = toX(i);
+      const left = cx - boxW / 2;
+      const q1 = toY(stats.q1);
+      const q3 = toY(stats.q3);
+      ctx.strokeStyle = s.color;
+      ctx.fillStyle = s.color;
+
+      ctx.globalAlpha = 0.25;
+      ctx.fillRect(left, q3, boxW, q1 - q3);
+      ctx.globalAlpha = 1;
+      ctx.strokeRect(left, q3, boxW, q1 - q3);
+
+      ctx.beginPath();
+      ctx.moveTo(left, toY(stats.median));
+      ctx.lineTo(left + boxW, toY(stats.median));
+      // Whiskers with caps
+      ctx.moveTo(cx, q3);
+      ctx.lineTo(cx, toY(stats.whiskerHi));
+      ctx.moveTo(cx - boxW / 4, toY(stats.whiskerHi));
+      ctx.lineTo(cx + boxW / 4, toY(stats.whiskerHi));
+      ctx.moveTo(cx, q1);
+      ctx.lineTo(cx, toY(stats.whiskerLo));
+      ctx.moveTo(cx - boxW / 4, toY(stats.whiskerLo));
+      ctx.lineTo(cx + boxW / 4, toY(stats.whiskerLo));
+      ctx.stroke();
+
+      ctx.globalAlpha = 0.3;
+      ctx.beginPath();
+      for (const v of stats.outliers) {
+        const py = toY(v);
+        ctx.moveTo(cx + DOT_RADIUS, py);
+        ctx.arc(cx, py, DOT_RADIUS, 0, Math.PI * 2);
+      }
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    });
+    ctx.restore();
+  }
+}
+
+/**
+ * 2D histogram of the points of all visible series together: the plot is
+ * cut into cells of about DENSITY_CELL pixels, shaded by how many events
+ * fall in each. Shades follow the log of the count, so sparse areas still
+ * show next to dense ones.
+ */
+export class DensityChart extends Chart {
+  draw(plot) {
+    const ctx = this.ctx;
+    const { xMin, xMax, yMin, yMax, xTicks, yTicks } = this._fitView();
+    const toX = (v) => plot.left + ((v - xMin) / (xMax - xMin)) * plot.width;
+    const toY = (v) => plot.top + plot.height - ((v - yMin) / (yMax - yMin)) * plot.height;
+
+    const cols = Math.max(1, Math.round(plot.width / DENSITY_CELL));
+    const rows = Math.max(1, Math.round(plot.height / DENSITY_CELL));
+    const counts = new Uint32Array(cols * rows);
+    let maxCount = 0;
+    for (const s of this.visibleSeries()) {
+      for (let i = 0; i < s.x.length; i++) {
+        const xv = s.x[i], yv = s.y[i];
+        if (!isFinite(xv) || !isFinite(yv)) continue;
+        const cx = Math.min(cols - 1, Math.floor(((xv - xMin) / (xMax - xMin)) * cols));
+        const cy = Math.min(rows - 1, Math.floor(((yMax - yv) / (yMax - yMin)) * rows));
+        const c = cy * cols + cx;
+        if (++counts[c] > maxCount) maxCount = counts[c];
+      }
+    }
+
+    // Cells first, so the grid lines stay visible over them
+    const cellW = plot.width / cols;
+    const cellH = plot.height / rows;
+    const scale = Math.log(1 + maxCount);
+    for (let c = 0; c < counts.length; c++) {
+      if (!counts[c]) continue;
+      ctx.fillStyle = densityColor(Math.log(1 + counts[c]) / scale);
+      // Overlap by a pixel fraction to avoid hairline gaps between cells
+      ctx.fillRect(plot.left + (c % cols) * cellW, plot.top + Math.floor(c / cols) * cellH, cellW + 0.5, cellH + 0.5);
+    }
+
+    this._drawAxes(plot, { xTicks, yTicks, toX, toY });
+    if (maxCount) this._drawLegend(plot, maxCount);
+  }
+
+  // Color ramp from one event to the busiest cell, in the top right corner
+  _drawLegend(plot, maxCount) {
+    const ctx = this.ctx;
+    const w = 100;
+    const x = plot.left + plot.width - w - 8;
+    const y = plot.top + 8;
+
+    const gradient = ctx.createLinearGradient(x, 0, x + w, 0);
+    for (let i = 0; i <= 4; i++) gradient.addColorStop(i / 4, densityColor(i / 4));
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(x - 6, y - 4, w + 12, 30);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, w, 8);
+
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('1', x, y + 11);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatTick(maxCount)} events`, x + w, y + 11);
+  }
+}
+
+/**
+ * Uniform grid over canvas pixels for finding the dot under the pointer
+ * without scanning every point. Points are added in drawing order.
+ */
+class PointIndex {
+  constructor(width, height, cellSize = 16) {
+    this.cellSize = cellSize;
+    this.cols = Math.max(1, Math.ceil(width / cellSize));
+    this.rows = Math.max(1, Math.ceil(height / cellSize));
+    this.xs = [];
+    this.ys = [];
+    this.series = [];
+    this.indices = [];
+  }
+
+  add(x, y, series, index) {
+    this.xs.push(x);
+    this.ys.push(y);
+    this.series.push(series);
+    this.indices.push(index);
+  }
+
+  // Sort points into cells: cellStart[c] .. cellStart[c + 1] indexes items
+  build() {
+    const n = this.xs.length;
+    const cells = new Int32Array(n);
+    this.cellStart = new Int32Array(this.cols * this.rows + 1);
+    for (let k = 0; k < n; k++) {
+      cells[k] = this._cell(this.xs[k], this.ys[k]);
+      this.cellStart[cells[k] + 1]++;
+    }
+    for (let c = 1; c < this.cellStart.length; c++) this.cellStart[c] += this.cellStart[c - 1];
+
+    const next = this.cellStart.slice(0, -1);
+    this.items = new Int32Array(n);
+    for (let k = 0; k < n; k++) this.items[next[cells[k]]++] = k;
+  }
+
+  _cell(x, y) {
+    const cx = Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    const cy = Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    return cy * this.cols + cx;
+  }
+
+  /**
+   * Points (as positions in add order) inside the rectangle x0..x1, y0..y1.
+   */
+  within(x0, y0, x1, y1) {
+    const found = [];
+    const cx0 = Math.max(0, Math.floor(x0 / this.cellSize));
+    const cx1 = Math.min(this.cols - 1, Math.floor(x1 / this.cellSize));
+    const cy0 = Math.max(0, Math.floor(y0 / this.cellSize));
+    const cy1 = Math.min(this.rows - 1, Math.floor(y1 / this.cellSize));
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const c = cy * this.cols + cx;
+        for (let j = this.cellStart[c]; j < this.cellStart[c + 1]; j++) {
+          const k = this.items[j];
+          if (this.xs[k] >= x0 && this.xs[k] <= x1 && this.ys[k] >= y0 && this.ys[k] <= y1) found.push(k);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * The closest point within `radius` of (x, y), preferring the one drawn
+   * last (on top) among equally close points.
+   */
+  nearest(x, y, radius) {
+    const x0 = Math.max(0, Math.floor((x - radius) / this.cellSize));
+    const x1 = Math.min(this.cols - 1, Math.floor((x + radius) / this.cellSize));
+    const y0 = Math.max(0, Math.floor((y - radius) / this.cellSize));
+    const y1 = Math.min(this.rows - 1, Math.floor((y + radius) / this.cellSize));
+
+    let best = -1;
+    let bestDist = radius * radius;
+    for (let cy = y0; cy <= y1; cy++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        const c = cy * this.cols + cx;
+        for (let j = this.cellStart[c]; j < this.cellStart[c + 1]; j++) {
+          const k = this.items[j];
+          const d = (this.xs[k] - x) ** 2 + (this.ys[k] - y) ** 2;
+          if (d < bestDist || (d === bestDist && k > best)) {
+            best = k;
+            bestDist = d;
+          }
+        }
+      }
+    }
+    if (best < 0) return null;
+    return { series: this.series[best], index: this.indices[best], x: this.xs[best], y: this.ys[best] };
+  }
+}
+
+// lo..hi scaled by `factor` around `at`, keeping the span within the zoom limits
+function zoomRange(lo, hi, at, factor, fitSpan) {
+  const span = hi - lo;
+  const minSpan = Math.max(Math.abs(at), fitSpan) * MIN_ZOOM_SPAN;
+  const next = Math.min(Math.max(span * factor, minSpan), fitSpan * MAX_ZOOM_OUT);
+  const scale = next / span;
+  return [at - (at - lo) * scale, at + (hi - at) * scale];
+}
+
+// Even-odd rule: a ray from (x, y) crosses the polygon's edges an odd
+// number of times when the point is inside
+function insidePolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Sorted finite values of an x or y array, kept until the array is replaced
+const sortedCache = new WeakMap();
+
+function sortedFinite(values) {
+  let sorted = sortedCache.get(values);
+  if (!sorted) {
+    sorted = Float64Array.from(values.filter((v) => isFinite(v))).sort();
+    sortedCache.set(values, sorted);
   }
+  return sorted;
 }
 
+// Indices of `xs` in ascending x order; most x dimensions already are
+const orderCache = new WeakMap();
+
+function xOrder(xs) {
+  let order = orderCache.get(xs);
+  if (!order) {
+    order = Array.from(xs, (_, i) => i);
+    let sorted = true;
+    for (let i = 1; i < xs.length && sorted; i++) sorted = !(xs[i] < xs[i - 1]);
+    if (!sorted) order.sort((a, b) => (xs[a] - xs[b]) || 0);
+    orderCache.set(xs, order);
+  }
+  return order;
+}
+
+// Value at fraction q of a sorted array, interpolating between neighbours
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const below = Math.floor(pos);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (pos - below);
+}
+
+function boxStats(sorted) {
+  if (!sorted.length) return null;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const reach = (q3 - q1) * 1.5;
+  let whiskerLo = q1, whiskerHi = q3;
+  const outliers = [];
+  for (const v of sorted) {
+    if (v < q1 - reach || v > q3 + reach) outliers.push(v);
+    else {
+      if (v < whiskerLo) whiskerLo = v;
+      if (v > whiskerHi) whiskerHi = v;
+    }
+  }
+  return {
+    q1, q3, median: quantile(sorted, 0.5), whiskerLo, whiskerHi, outliers,
+    min: sorted[0], max: sorted[sorted.length - 1],
+  };
+}
+
+function densityColor(t) {
+  const c = DENSITY_LOW.map((lo, i) => Math.round(lo + (DENSITY_HIGH[i] - lo) * t));
+  return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+}
+
+// `text` cut short with an ellipsis to fit maxWidth in the current font
+function ellipsize(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}\u2026`).width > maxWidth) end--;
+  return end > 0 ? `${text.slice(0, end)}\u2026` : '';
+}
+
+// Ticks any axis can need; stops the loop when a step is lost to rounding
+const MAX_TICKS = 200;
+
 /**
  * Compute "nice" tick values for an axis range.
  */
@@ -226,14 +1056,14 @@ function niceTicks(lo, hi, targetCount) {
 
   const start = Math.floor(lo / step) * step;
   const ticks = [];
-  for (let v = start; v <= hi + step * 0.5; v += step) {
+  for (let v = start; v <= hi + step * 0.5 && ticks.length < MAX_TICKS; v += step) {
     ticks.push(roundFloat(v, step));
   }
   return ticks.length >= 2 ? ticks : [lo, hi];
 }
 
 function roundFloat(v, step) {
-  const decimals = Math.max(0, -Math.floor(Math.log10(step)) + 1);
+  const decimals = Math.min(100, Math.max(0, -Math.floor(Math.log10(step)) + 1));
   return parseFloat(v.toFixed(decimals));
 }
 
@@ -0,0 +1,208 @@
+// Replay text rendering with caret, deletion ghosts and paste highlights
+
+import { updatePasteRanges, buildPasteSnapshots, pasteRangesAt } from '../features/replay.js';
+
+// How long deleted text stays visible as a struck-through ghost
+const GHOST_DURATION_MS = 900;
+// Room (px) kept between the caret and the edge of the pane when scrolling
+const CARET_SCROLL_MARGIN = 24;
+
+export class ReplayRenderer {
+  constructor(container, options = {}) {
+    this._container = container;
+    this._ghostDuration = options.ghostDuration || GHOST_DURATION_MS;
+    this._log = [];
+    this._index = 0;
+    this._content = '';
+    this._position = 0;
+    this._pastes = [];   // [{ start, end }] in current content offsets
+    this._ghost = null;  // { p, text }
+    this._ghostTimer = null;
+    // From buildPasteSnapshots: paste ranges every so many events, so a
+    // seek replays only from the nearest one, and the pasted parts each
+    // deletion removed, so undoing it restores highlights
+    this._pasteSnapshots = new Map();
+    this._removedPastes = new Map();
+  }
+
+  setDocument(log) {
+    this._log = log;
+    const { snapshots, removed } = buildPasteSnapshots(log);
+    this._pasteSnapshots = snapshots;
+    this._removedPastes = removed;
+    this.clear();
+  }
+
+  clear() {
+    this._index = 0;
+    this._content = '';
+    this._position = 0;
+    this._pastes = [];
+    this._clearGhost();
+    this._container.textContent = '';
+  }
+
+  /**
+   * Render a progress update from ReplayEngine. Events the engine stepped
+   * through (`steps`) are applied or undone incrementally; after a seek the
+   * paste highlights are replayed from the nearest snapshot and no ghost is
+   * shown.
+   */
+  update({ index, content, position, steps = null }) {
+    if (steps !== null && index - steps === this._index) {
+      for (let i = this._index; i < index; i++) this._applyEvent(this._log[i]);
+      for (let i = this._index - 1; i >= index; i--) this._undoEvent(this._log[i], i);
+      if (steps < 0) this._position = position;
+    } else {
+      this._rebuild(index);
+      this._position = position;
+    }
+    this._index = index;
+    this._content = content;
+    this._render();
+  }
+
+  // Redraw the current state, e.g. after other markup replaced it
+  refresh() {
+    this._render();
+  }
+
+  // Apply an event to the paste ranges, ghost and caret
+  _applyEvent(event) {
+    switch (event.y) {
+      case 'i':
+      case 'p':
+        this._pastes = updatePasteRanges(this._pastes, event);
+        if (this._ghost && this._ghost.p >= event.p) this._ghost.p += event.c.length;
+        this._position = event.p + event.c.length;
+        break;
+      case 'd':
+        this._pastes = updatePasteRanges(this._pastes, event);
+        this._showGhost(event.p, event.c);
+        this._position = event.p;
+        break;
+      case 'm':
+        this._position = event.p;
+        break;
+      default:
+        // Link, title and session events leave the text and caret alone
+        break;
+    }
+  }
+
+  // Inverse of _applyEvent for log[i]: text it inserted becomes a ghost as
+  // if deleted, and text it deleted comes back with its paste highlights.
+  // The caller sets the caret, which depends on earlier events.
+  _undoEvent(event, i) {
+    if (event.y === 'i' || event.y === 'p') {
+      this._pastes = updatePasteRanges(this._pastes, { y: 'd', p: event.p, c: event.c });
+      this._showGhost(event.p, event.c);
+    } else if (event.y === 'd') {
+      const pastes = updatePasteRanges(this._pastes, { y: 'i', p: event.p, c: event.c });
+      for (const range of this._removedPastes.get(i) || []) {
+        pastes.push({ start: event.p + range.start, end: event.p + range.end });
+      }
+      this._pastes = pastes.sort((a, b) => a.start - b.start);
+      if (this._ghost && this._ghost.p >= event.p) this._ghost.p += event.c.length;
+    }
+  }
+
+  _rebuild(index) {
+    this._clearGhost();
+    this._pastes = pasteRangesAt(this._log, this._pasteSnapshots, index);
+  }
+
+  _showGhost(p, text) {
+    const ghost = this._ghost;
+    if (ghost && ghost.p === p + text.length) {
+      // Backspacing through text: the ghost grows to the left
+      ghost.p = p;
+      ghost.text = text + ghost.text;
+    } else if (ghost && ghost.p === p) {
+      // Forward delete: the ghost grows to the right
+      ghost.text += text;
+    } else {
+      this._ghost = { p, text };
+    }
+
+    clearTimeout(this._ghostTimer);
+    this._ghostTimer = setTimeout(() => {
+      this._ghost = null;
+      this._ghostTimer = null;
+      this._render();
+    }, this._ghostDuration);
+  }
+
+  _clearGhost() {
+    clearTimeout(this._ghostTimer);
+    this._ghostTimer = null;
+    this._ghost = null;
+  }
+
+  _render() {
+    const content = this._content;
+    const caretPos = Math.min(Math.max(this._position, 0), content.length);
+    const ghost = this._ghost && this._ghost.p <= content.length ? this._ghost : null;
+
+    // Split the text wherever a highlight starts or ends or a marker sits
+    const cuts = new Set([0, content.length, caretPos]);
+    if (ghost) cuts.add(ghost.p);
+    for (const range of this._pastes) {
+      cuts.add(Math.min(range.start, content.length));
+      cuts.add(Math.min(range.end, content.length));
+    }
+    const points = [...cuts].sort((a, b) => a - b);
+
+    const fragment = document.createDocumentFragment();
+    let caret = null;
+    let r = 0;
+    for (let k = 0; k < points.length; k++) {
+      const pos = points[k];
+      if (pos === caretPos) {
+        caret = document.createElement('span');
+        caret.className = 'replay-caret';
+        caret.setAttribute('aria-hidden', 'true');
+        fragment.appendChild(caret);
+      }
+      if (ghost && pos === ghost.p) {
+        const del = document.createElement('del');
+        del.className = 'replay-ghost';
+        del.textContent = ghost.text;
+        fragment.appendChild(del);
+      }
+      if (k === points.length - 1) break;
+
+      const text = content.slice(pos, points[k + 1]);
+      while (r < this._pastes.length && this._pastes[r].end <= pos) r++;
+      const range = this._pastes[r];
+      if (range && range.start <= pos && range.end > pos) {
+        const mark = document.createElement('span');
+        mark.className = 'replay-paste';
+        mark.textContent = text;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(text));
+      }
+    }
+
+    this._container.textContent = '';
+    this._container.appendChild(fragment);
+    if (caret) this._scrollToCaret(caret);
+  }
+
+  // Scroll the replay pane, never the page, once the caret leaves its view
+  _scrollToCaret(caret) {
+    const box = this._container;
+    const top = caret.offsetTop;
+    const bottom = top + caret.offsetHeight;
+    if (top < box.scrollTop) {
+      box.scrollTop = Math.max(0, top - CARET_SCROLL_MARGIN);
+    } else if (bottom > box.scrollTop + box.clientHeight) {
+      box.scrollTop = bottom - box.clientHeight + CARET_SCROLL_MARGIN;
+    }
+  }
+
+  destroy() {
+    this._clearGhost();
+  }
+}
@@ -0,0 +1,326 @@
+// Canvas timeline of writing activity for the replay view
+
+import { getMonotonicTimes, getSessions, getSessionStarts } from '../features/sessions.js';
+import { formatTime } from '../utils/helpers.js';
+
+// Gaps within a session at least this long are marked as long pauses
+// (the same threshold as "Pauses over 30s" in the writing profile)
+export const LONG_PAUSE_MS = 30000;
+
+const COLOR_TYPING = '#2563eb';
+const COLOR_DELETION = '#dc2626';
+const COLOR_PASTE = '#d97706';
+const COLOR_PAUSE = '#e5e7eb';
+const COLOR_SESSION = '#6b7280';
+const COLOR_ANNOTATION = '#7c3aed';
+const COLOR_PLAYHEAD = '#111827';
+const COLOR_AXIS = '#d1d5db';
+const COLOR_LABEL = '#6b7280';
+
+const BIN_WIDTH = 3;
+
+export class ReplayTimeline {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.margin = { top: 14, right: 10, bottom: 16, left: 10 };
+    this.scale = options.scale || 'time'; // time | events
+    this._onSeek = options.onSeek || null;
+    this._resizeTimer = null;
+    this._dragging = false;
+    this.setDocument([]);
+
+    this._ro = new ResizeObserver(() => {
+      clearTimeout(this._resizeTimer);
+      this._resizeTimer = setTimeout(() => this.resize(), 100);
+    });
+    this._ro.observe(canvas.parentElement);
+
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+    canvas.addEventListener('pointerdown', this._handlePointerDown);
+    canvas.addEventListener('pointermove', this._handlePointerMove);
+    canvas.addEventListener('pointerup', this._handlePointerUp);
+    canvas.addEventListener('pointercancel', this._handlePointerUp);
+    this.resize();
+  }
+
+  setDocument(log) {
+    this._log = log;
+    this._times = getMonotonicTimes(log);
+    this._sessions = getSessions(log, this._times);
+    this._index = 0;
+    this._bins = null;
+    this._annotations = [];
+
+    const sessionStarts = getSessionStarts(log);
+    this._pastes = [];
+    this._pauses = [];
+    for (let i = 0; i < log.length; i++) {
+      if (log[i].y === 'p') this._pastes.push(i);
+      if (i > 0 && !sessionStarts[i] && this._times[i] - this._times[i - 1] >= LONG_PAUSE_MS) {
+        this._pauses.push({ startIndex: i - 1, endIndex: i });
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Show reviewer annotations as flags along the bottom edge. Each needs
+   * an `index` in replay terms (number of events applied).
+   */
+  setAnnotations(annotations) {
+    this._annotations = annotations;
+    this.render();
+  }
+
+  setScale(scale) {
+    this.scale = scale;
+    this.render();
+  }
+
+  /**
+   * Move the playhead. `index` is the number of events applied, as in
+   * ReplayEngine.index.
+   */
+  setPosition(index) {
+    this._index = index;
+    this.render();
+  }
+
+  /**
+   * Replay index just after the next paste at or beyond `index`, or -1.
+   */
+  nextPaste(index) {
+    const next = this._pastes.find((i) => i >= index);
+    return next === undefined ? -1 : next + 1;
+  }
+
+  /**
+   * Replay index at the start of the next long pause at or beyond `index`, or -1.
+   */
+  nextPause(index) {
+    const next = this._pauses.find((pause) => pause.startIndex >= index);
+    return next === undefined ? -1 : next.startIndex + 1;
+  }
+
+  get pasteCount() { return this._pastes.length; }
+  get pauseCount() { return this._pauses.length; }
+
+  resize() {
+    const parent = this.canvas.parentElement;
+    const dpr = window.devicePixelRatio || 1;
+    const w = parent.clientWidth;
+    const h = parent.clientHeight;
+    this.canvas.width = w * dpr;
+    this.canvas.height = h * dpr;
+    this.canvas.style.width = w + 'px';
+    this.canvas.style.height = h + 'px';
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.width = w;
+    this.height = h;
+    this.render();
+  }
+
+  // Horizontal position (0–1) of the event at `i` on the current scale
+  _fraction(i) {
+    const n = this._log.length;
+    if (this.scale === 'events') return n > 1 ? i / (n - 1) : 0;
+    const t0 = this._times[0];
+    const span = this._times[n - 1] - t0;
+    return span > 0 ? (this._times[i] - t0) / span : 0;
+  }
+
+  render() {
+    const ctx = this.ctx;
+    const m = this.margin;
+    const w = this.width;
+    const h = this.height;
+    if (!w || !h) return;
+
+    ctx.clearRect(0, 0, w, h);
+
+    const plotW = w - m.left - m.right;
+    const plotH = h - m.top - m.bottom;
+    const n = this._log.length;
+    if (plotW <= 0 || plotH <= 0 || n === 0) return;
+
+    const toX = (i) => m.left + this._fraction(i) * plotW;
+    const baseline = m.top + plotH * 0.65;
+
+    // Long pauses, shaded behind everything else
+    ctx.fillStyle = COLOR_PAUSE;
+    for (const pause of this._pauses) {
+      const x0 = toX(pause.startIndex);
+      ctx.fillRect(x0, m.top, Math.max(toX(pause.endIndex) - x0, 2), plotH);
+    }
+
+    // Activity per bin: insertions above the baseline, deletions below
+    const binCount = Math.max(1, Math.floor(plotW / BIN_WIDTH));
+    const { typed, deleted, max } = this._binActivity(binCount);
+
+    const binW = plotW / binCount;
+    ctx.fillStyle = COLOR_TYPING;
+    for (let b = 0; b < binCount; b++) {
+      if (!typed[b]) continue;
+      const barH = Math.max(1, (typed[b] / max) * (baseline - m.top));
+      ctx.fillRect(m.left + b * binW, baseline - barH, Math.max(1, binW - 1), barH);
+    }
+    ctx.fillStyle = COLOR_DELETION;
+    for (let b = 0; b < binCount; b++) {
+      if (!deleted[b]) continue;
+      const barH = Math.max(1, (deleted[b] / max) * (m.top + plotH - baseline));
+      ctx.fillRect(m.left + b * binW, baseline, Math.max(1, binW - 1), barH);
+    }
+
+    ctx.strokeStyle = COLOR_AXIS;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(m.left, Math.round(baseline) + 0.5);
+    ctx.lineTo(m.left + plotW, Math.round(baseline) + 0.5);
+    ctx.stroke();
+
+    // Session boundaries
+    ctx.strokeStyle = COLOR_SESSION;
+    ctx.fillStyle = COLOR_SESSION;
+    ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.setLineDash([3, 3]);
+    for (const session of this._sessions) {
+      if (session.number === 1) continue;
+      const x = Math.round(toX(session.startIndex)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, m.top);
+      ctx.lineTo(x, m.top + plotH);
+      ctx.stroke();
+      ctx.fillText(`S${session.number}`, x + 2, m.top);
+    }
+    ctx.setLineDash([]);
+
+    // Pastes, as markers along the top edge
+    ctx.fillStyle = COLOR_PASTE;
+    for (const i of this._pastes) {
+      const x = toX(i);
+      ctx.beginPath();
+      ctx.moveTo(x - 4, 2);
+      ctx.lineTo(x + 4, 2);
+      ctx.lineTo(x, m.top - 2);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillRect(x - 0.5, m.top - 2, 1, plotH + 2);
+    }
+
+    // Reviewer annotations, as flags along the bottom edge
+    ctx.fillStyle = COLOR_ANNOTATION;
+    const flagY = m.top + plotH;
+    for (const annotation of this._annotations) {
+      if (annotation.index > n) continue;
+      const x = annotation.index > 0 ? toX(annotation.index - 1) : m.left;
+      ctx.fillRect(x - 0.5, m.top, 1, plotH);
+      ctx.beginPath();
+      ctx.moveTo(x, flagY);
+      ctx.lineTo(x + 6, flagY - 3);
+      ctx.lineTo(x, flagY - 6);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Scale labels
+    ctx.fillStyle = COLOR_LABEL;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    const start = this.scale === 'events' ? '1' : formatTime(0);
+    const end = this.scale === 'events'
+      ? n.toLocaleString()
+      : formatTime(this._times[n - 1] - this._times[0]);
+    ctx.fillText(start, m.left, h);
+    ctx.textAlign = 'right';
+    ctx.fillText(end, m.left + plotW, h);
+
+    // Playhead
+    const px = this._index > 0 ? toX(this._index - 1) : m.left;
+    ctx.strokeStyle = COLOR_PLAYHEAD;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, m.top + plotH);
+    ctx.stroke();
+  }
+
+  // Binning walks the whole log, so it is redone only when the width or
+  // scale changes rather than on every playhead move
+  _binActivity(binCount) {
+    const key = `${binCount}:${this.scale}`;
+    if (this._bins && this._bins.key === key) return this._bins;
+
+    const typed = new Float64Array(binCount);
+    const deleted = new Float64Array(binCount);
+    for (let i = 0; i < this._log.length; i++) {
+      const y = this._log[i].y;
+      if (y !== 'i' && y !== 'd') continue;
+      const bin = Math.min(binCount - 1, Math.floor(this._fraction(i) * binCount));
+      if (y === 'i') typed[bin]++;
+      else deleted[bin]++;
+    }
+    let max = 1;
+    for (let b = 0; b < binCount; b++) max = Math.max(max, typed[b], deleted[b]);
+
+    this._bins = { key, typed, deleted, max };
+    return this._bins;
+  }
+
+  // Replay index for a horizontal position on the canvas
+  _indexAt(clientX) {
+    const n = this._log.length;
+    const rect = this.canvas.getBoundingClientRect();
+    const plotW = this.width - this.margin.left - this.margin.right;
+    const frac = Math.min(1, Math.max(0, (clientX - rect.left - this.margin.left) / plotW));
+
+    if (this.scale === 'events') return Math.round(frac * (n - 1)) + 1;
+
+    // Last event at or before the time under the pointer
+    const target = this._times[0] + frac * (this._times[n - 1] - this._times[0]);
+    let lo = 0;
+    let hi = n - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this._times[mid] <= target) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo + 1;
+  }
+
+  _handlePointerDown(e) {
+    if (this._log.length === 0) return;
+    this._dragging = true;
+    this.canvas.setPointerCapture(e.pointerId);
+    this._seek(e.clientX);
+  }
+
+  _handlePointerMove(e) {
+    if (this._dragging) this._seek(e.clientX);
+  }
+
+  _handlePointerUp(e) {
+    if (!this._dragging) return;
+    this._dragging = false;
+    this.canvas.releasePointerCapture(e.pointerId);
+  }
+
+  _seek(clientX) {
+    const index = this._indexAt(clientX);
+    if (index === this._index) return;
+    if (this._onSeek) this._onSeek(index);
+  }
+
+  destroy() {
+    this._ro.disconnect();
+    clearTimeout(this._resizeTimer);
+    this.canvas.removeEventListener('pointerdown', this._handlePointerDown);
+    this.canvas.removeEventListener('pointermove', this._handlePointerMove);
+    this.canvas.removeEventListener('pointerup', this._handlePointerUp);
+    this.canvas.removeEventListener('pointercancel', this._handlePointerUp);
+  }
+}
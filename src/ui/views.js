@@ -1,7 +1,13 @@
 // Page-specific rendering for WriteProof
 
-import { createElement } from './components.js';
+import { createElement, showNotification } from './components.js';
 import { timeSince, formatNumber, formatTime } from '../utils/helpers.js';
+import { AUTOMATION_REASONS } from '../features/automation.js';
+import { TEXT_FORMATS } from '../features/formats.js';
+import {
+  computeAuthenticityScore, getScoreConfig, hasCustomScoreConfig, saveScoreConfig, clearScoreConfig,
+} from '../features/scoring.js';
+import { downloadFile } from '../features/export.js';
 
 export function renderDocumentList(documents, { onOpen, onDelete, onReplay }) {
   const container = document.createElement('div');
@@ -72,7 +78,7 @@ export function renderDocumentList(documents, { onOpen, onDelete, onReplay }) {
   return container;
 }
 
-export function renderWritingProfile(profile) {
+export function renderWritingProfile(profile, score = null, { onSeekRange } = {}) {
   const container = createElement('div', { className: 'profile-container' });
 
   if (!profile) {
@@ -95,6 +101,16 @@ export function renderWritingProfile(profile) {
     return table;
   }
 
+  // Changing the thresholds re-scores the profile in place
+  const scoreSlot = createElement('div');
+  const showScore = (current) => {
+    scoreSlot.textContent = '';
+    if (current) scoreSlot.appendChild(renderScore(current));
+    scoreSlot.appendChild(renderScoreSettings(() => showScore(computeAuthenticityScore(profile))));
+  };
+  showScore(score);
+  container.appendChild(scoreSlot);
+
   // --- Composition Stats ---
   const comp = profile.composition;
   const compSection = createElement('div', { className: 'profile-section' });
@@ -127,8 +143,12 @@ export function renderWritingProfile(profile) {
   editSection.appendChild(createElement('h4', { className: 'profile-section-title', textContent: 'Editing Pattern' }));
   editSection.appendChild(buildTable([
     ['Deletion ratio', `${editing.deletionRatio} deletions per insertion`],
-    ['Local edits', `${editing.localEditPercent}% near previous position`],
-    ['Non-local edits', `${editing.farEditPercent}% away from previous position`],
+    ['Local edits', editing.localEditPercent === null
+      ? 'Too few edits to measure'
+      : `${editing.localEditPercent}% near previous position`],
+    ['Non-local edits', editing.farEditPercent === null
+      ? 'Too few edits to measure'
+      : `${editing.farEditPercent}% away from previous position`],
   ]));
   container.appendChild(editSection);
 
@@ -143,5 +163,527 @@ export function renderWritingProfile(profile) {
   ]));
   container.appendChild(timeSection);
 
+  // --- Sessions ---
+  const sessions = profile.sessions;
+  const sessionRows = [
+    ['Writing sessions', formatNumber(sessions.count)],
+    ['Active writing time', formatTime(sessions.activeTimeMs)],
+    ['Longest session', formatTime(sessions.longestSessionMs)],
+  ];
+  if (sessions.firstStartedAt) {
+    sessionRows.push(['First recorded session', new Date(sessions.firstStartedAt).toLocaleString()]);
+  }
+  if (sessions.lastStartedAt && sessions.lastStartedAt !== sessions.firstStartedAt) {
+    sessionRows.push(['Last recorded session', new Date(sessions.lastStartedAt).toLocaleString()]);
+  }
+  const sessionSection = createElement('div', { className: 'profile-section' });
+  sessionSection.appendChild(createElement('h4', { className: 'profile-section-title', textContent: 'Sessions' }));
+  sessionSection.appendChild(buildTable(sessionRows));
+  container.appendChild(sessionSection);
+
+  container.appendChild(renderAutomation(profile.automation, onSeekRange));
+
   return container;
 }
+
+function renderAutomation(automation, onSeekRange) {
+  const section = createElement('div', { className: 'profile-section' });
+  section.appendChild(createElement('h4', { className: 'profile-section-title', textContent: 'Automation Check' }));
+
+  if (automation.ranges.length === 0) {
+    section.appendChild(createElement('p', {
+      className: 'text-sm text-muted',
+      textContent: 'No machine-like typing detected.',
+    }));
+    return section;
+  }
+
+  section.appendChild(createElement('p', {
+    className: 'text-sm',
+    textContent: `${formatNumber(automation.ranges.length)} stretch${automation.ranges.length === 1 ? '' : 'es'} covering ${formatNumber(automation.flaggedChars)} characters look scripted or auto-typed.`,
+  }));
+
+  for (const range of automation.ranges) {
+    const item = createElement(onSeekRange ? 'button' : 'div', { className: 'automation-range' });
+    item.appendChild(createElement('div', {
+      className: 'automation-range-title',
+      textContent: `Events ${formatNumber(range.startIndex + 1)}\u2013${formatNumber(range.endIndex)} \u00b7 ${formatTime(range.startTime)}\u2013${formatTime(range.endTime)} \u00b7 ${formatNumber(range.chars)} chars`,
+    }));
+    item.appendChild(createElement('div', {
+      className: 'text-sm text-muted',
+      textContent: range.reasons.map((r) => AUTOMATION_REASONS[r] || r).join('; '),
+    }));
+    if (onSeekRange) {
+      item.type = 'button';
+      item.title = 'Replay this stretch';
+      item.addEventListener('click', () => onSeekRange(range));
+    }
+    section.appendChild(item);
+  }
+  return section;
+}
+
+function renderScore(score) {
+  const section = createElement('div', { className: 'profile-section score-summary' });
+  section.appendChild(createElement('h4', { className: 'profile-section-title', textContent: 'Authenticity Score' }));
+
+  const level = ['high', 'moderate'][score.bandIndex] || 'low';
+  const header = createElement('div', { className: 'score-header' });
+  header.appendChild(createElement('span', { className: `score-value score-${level}`, textContent: String(score.total) }));
+  const band = createElement('div');
+  band.appendChild(createElement('div', { className: 'score-band', textContent: score.band.label }));
+  if (score.band.description) {
+    band.appendChild(createElement('div', { className: 'text-sm text-muted', textContent: score.band.description }));
+  }
+  header.appendChild(band);
+  section.appendChild(header);
+
+  for (const component of score.components) {
+    const row = createElement('div', { className: 'score-component' });
+    const line = createElement('div', { className: 'score-component-line' });
+    line.appendChild(createElement('span', { textContent: component.label }));
+    line.appendChild(createElement('span', {
+      className: 'score-component-points',
+      textContent: `${formatNumber(component.points)} / ${component.maxPoints}`,
+    }));
+    row.appendChild(line);
+
+    const bar = createElement('div', { className: 'score-bar' });
+    const fill = createElement('div', { className: 'score-bar-fill' });
+    fill.style.width = `${component.maxPoints > 0 ? (component.points / component.maxPoints) * 100 : 0}%`;
+    bar.appendChild(fill);
+    row.appendChild(bar);
+
+    row.appendChild(createElement('div', { className: 'text-sm text-muted', textContent: component.explanation }));
+    section.appendChild(row);
+  }
+  return section;
+}
+
+// Import, export and reset of the score thresholds, which are kept per
+// browser; a department shares them as a JSON file
+function renderScoreSettings(onChange) {
+  const custom = hasCustomScoreConfig();
+  const section = createElement('div', { className: 'profile-section score-settings' });
+  section.appendChild(createElement('p', { className: 'text-sm text-muted' }, [
+    custom ? 'Scored with custom thresholds saved in this browser. ' : '',
+    createElement('a', { href: 'docs.html#tuning-the-score', target: '_blank', rel: 'noopener', textContent: 'How the score is calculated and tuned' }),
+  ]));
+
+  const fileInput = createElement('input', { type: 'file', accept: '.json,application/json', hidden: '' });
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      saveScoreConfig(JSON.parse(await file.text()));
+    } catch (err) {
+      showNotification(err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message, 'error', 6000);
+      return;
+    }
+    showNotification('Score thresholds imported', 'success');
+    onChange();
+  });
+
+  const actions = createElement('div', { className: 'score-settings-actions' }, [
+    fileInput,
+    createElement('button', {
+      className: 'btn btn-sm btn-outline',
+      textContent: 'Import thresholds',
+      onClick: () => fileInput.click(),
+    }),
+    createElement('button', {
+      className: 'btn btn-sm btn-outline',
+      textContent: 'Export thresholds',
+      onClick: () => {
+        const json = JSON.stringify(getScoreConfig(), null, 2);
+        downloadFile(new Blob([json], { type: 'application/json' }), 'writeproof-score-config.json');
+      },
+    }),
+  ]);
+  if (custom) {
+    actions.appendChild(createElement('button', {
+      className: 'btn btn-sm btn-outline',
+      textContent: 'Use default thresholds',
+      onClick: () => {
+        clearScoreConfig();
+        showNotification('Score thresholds reset to the defaults', 'success');
+        onChange();
+      },
+    }));
+  }
+  section.appendChild(actions);
+  return section;
+}
+
+export function renderShareLink(url) {
+  const container = document.createElement('div');
+
+  container.appendChild(createElement('p', {
+    className: 'text-sm text-muted',
+    textContent: 'Your browser blocked clipboard access. Copy the link below and send it to your reviewer.',
+  }));
+
+  const input = createElement('input', {
+    className: 'link-dialog-input',
+    type: 'text',
+    readonly: 'readonly',
+    'aria-label': 'Share link',
+  });
+  input.value = url;
+  input.addEventListener('focus', () => input.select());
+  container.appendChild(input);
+
+  return container;
+}
+
+export function renderShareFallback(message, { onDownload }) {
+  const container = document.createElement('div');
+
+  container.appendChild(createElement('p', { textContent: message }));
+  container.appendChild(createElement('p', {
+    className: 'text-sm text-muted',
+    textContent: 'Download the .writeproof.json file instead and send it as an attachment. Reviewers can open it on the Verify page.',
+  }));
+
+  const actions = createElement('div', { className: 'flex gap-1' });
+  actions.style.justifyContent = 'flex-end';
+  actions.appendChild(createElement('button', {
+    className: 'btn btn-primary btn-sm',
+    textContent: 'Download File',
+    onClick: onDownload,
+  }));
+  container.appendChild(actions);
+
+  return container;
+}
+
+/**
+ * Reviewer annotations as list items. `describe(annotation)` labels the
+ * moment each one points at.
+ */
+export function renderAnnotationList(annotations, { describe, onJump, onEdit, onDelete }) {
+  const fragment = document.createDocumentFragment();
+  for (const annotation of annotations) {
+    const note = annotation.note
+      ? createElement('span', { className: 'annotation-note', textContent: annotation.note })
+      : createElement('span', { className: 'annotation-note annotation-note-empty', textContent: 'Bookmark' });
+
+    fragment.appendChild(createElement('li', { className: 'annotation-item' }, [
+      createElement('button', {
+        className: 'annotation-jump',
+        textContent: describe(annotation),
+        title: 'Replay from here',
+        onClick: () => onJump(annotation),
+      }),
+      note,
+      createElement('span', { className: 'annotation-actions' }, [
+        createElement('button', { textContent: 'Edit', onClick: () => onEdit(annotation) }),
+        createElement('button', { textContent: 'Delete', onClick: () => onDelete(annotation) }),
+      ]),
+    ]));
+  }
+  return fragment;
+}
+
+export function renderAnnotationEditor(note, { onSave }) {
+  const container = createElement('div', { className: 'annotation-editor' });
+  const textarea = createElement('textarea', {
+    'aria-label': 'Note',
+    placeholder: 'What happens here? e.g. "Rewrote the introduction after a 40-minute pause"',
+  });
+  textarea.value = note;
+  container.appendChild(textarea);
+
+  const save = () => onSave(textarea.value.trim());
+  textarea.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save();
+  });
+  container.appendChild(createElement('div', { className: 'flex gap-1' }, [
+    createElement('button', { className: 'btn btn-sm btn-primary', textContent: 'Save', onClick: save }),
+  ]));
+
+  setTimeout(() => textarea.focus(), 0);
+  return container;
+}
+
+/**
+ * Options form for video export. `estimate(options)` returns the video
+ * length in ms; `onStart(options)` records it, receiving `onProgress` and
+ * an AbortSignal in the options, and resolves when the file is ready.
+ * `realtime` says recording takes as long as the video. Aborting `signal`
+ * cancels a recording in progress.
+ */
+export function renderVideoExport({ estimate, onStart, signal, realtime = false }) {
+  const container = createElement('div', { className: 'video-export export-options' });
+
+  const select = (label, options, selected) => {
+    const el = createElement('select', { className: 'speed-select', 'aria-label': label });
+    for (const [value, text] of options) {
+      el.appendChild(createElement('option', { value, textContent: text }));
+    }
+    el.value = selected;
+    container.appendChild(createElement('label', { className: 'export-option-row' }, [
+      createElement('span', { textContent: label }),
+      el,
+    ]));
+    return el;
+  };
+  const checkbox = (label) => {
+    const el = createElement('input', { type: 'checkbox' });
+    el.checked = true;
+    container.appendChild(createElement('label', { className: 'export-option-check' }, [el, ` ${label}`]));
+    return el;
+  };
+
+  const speed = select('Speed', [['2', '2x'], ['5', '5x'], ['10', '10x'], ['20', '20x'], ['50', '50x']], '10');
+  const idle = select('Idle time', [
+    ['1000', 'Pauses up to 1s'],
+    ['3000', 'Pauses up to 3s'],
+    ['realtime', 'Real time'],
+    ['constant', 'Constant rate'],
+  ], '1000');
+  const size = select('Resolution', [['720', '1280 × 720'], ['1080', '1920 × 1080']], '720');
+  const timestamp = checkbox('Show elapsed time');
+  const counter = checkbox('Show event counter');
+  const pastes = checkbox('Highlight pasted text');
+
+  const readOptions = () => {
+    const height = parseInt(size.value, 10);
+    const timing = idle.value === 'realtime' || idle.value === 'constant'
+      ? { mode: idle.value }
+      : { mode: 'compressed', idleCap: parseInt(idle.value, 10) };
+    return {
+      speed: parseFloat(speed.value),
+      timing,
+      width: Math.round((height * 16) / 9),
+      height,
+      overlay: { timestamp: timestamp.checked, counter: counter.checked, pastes: pastes.checked },
+    };
+  };
+
+  const summary = createElement('p', { className: 'text-sm text-muted' });
+  const updateSummary = () => {
+    const length = `Video length ${formatTime(estimate(readOptions()))}.`;
+    summary.textContent = realtime ? `${length} Recording takes about as long, so keep this tab open.` : length;
+  };
+  container.addEventListener('change', updateSummary);
+  updateSummary();
+  container.appendChild(summary);
+
+  const fill = createElement('div', { className: 'progress-fill', style: 'width: 0%;' });
+  const progress = createElement('div', { className: 'progress-bar video-export-progress' }, [fill]);
+  progress.style.display = 'none';
+  container.appendChild(progress);
+
+  let controller = null;
+  const startBtn = createElement('button', { className: 'btn btn-sm btn-primary', textContent: 'Record video' });
+  const cancelBtn = createElement('button', { className: 'btn btn-sm btn-secondary', textContent: 'Cancel' });
+  cancelBtn.style.display = 'none';
+
+  startBtn.addEventListener('click', async () => {
+    controller = new AbortController();
+    startBtn.disabled = true;
+    cancelBtn.style.display = '';
+    progress.style.display = '';
+    fill.style.width = '0%';
+    try {
+      await onStart({
+        ...readOptions(),
+        signal: controller.signal,
+        onProgress: (fraction) => { fill.style.width = `${fraction * 100}%`; },
+      });
+    } finally {
+      controller = null;
+      startBtn.disabled = false;
+      cancelBtn.style.display = 'none';
+      progress.style.display = 'none';
+    }
+  });
+  cancelBtn.addEventListener('click', () => {
+    if (controller) controller.abort();
+  });
+  if (signal) signal.addEventListener('abort', () => { if (controller) controller.abort(); });
+
+  container.appendChild(createElement('div', { className: 'flex gap-1' }, [startBtn, cancelBtn]));
+  return container;
+}
+
+/**
+ * Progress of a background task with a Cancel button. Returns the element
+ * and `update(fraction, label)` to move the bar.
+ */
+export function renderTaskProgress({ onCancel }) {
+  const label = createElement('p', { className: 'text-sm text-muted', textContent: 'Starting...' });
+  const fill = createElement('div', { className: 'progress-fill', style: 'width: 0%;' });
+  const bar = createElement('div', {
+    className: 'progress-bar',
+    role: 'progressbar',
+    'aria-valuemin': '0',
+    'aria-valuemax': '100',
+    'aria-valuenow': '0',
+  }, [fill]);
+  const cancelBtn = createElement('button', { className: 'btn btn-sm btn-secondary', textContent: 'Cancel' });
+  cancelBtn.addEventListener('click', onCancel);
+
+  return {
+    element: createElement('div', { className: 'task-progress' }, [label, bar, cancelBtn]),
+    update(fraction, text) {
+      const pct = Math.round(fraction * 100);
+      fill.style.width = `${pct}%`;
+      bar.setAttribute('aria-valuenow', String(pct));
+      label.textContent = `${text}... ${pct}%`;
+    },
+  };
+}
+
+export function renderDownloadOptions({ compressed = true, onDownload }) {
+  const container = createElement('div', { className: 'export-options' });
+
+  const format = createElement('select', { className: 'speed-select', 'aria-label': 'Format' }, [
+    createElement('option', { value: 'standard', textContent: 'Standard JSON' }),
+    createElement('option', { value: 'compact', textContent: 'Compact JSON' }),
+    createElement('option', { value: 'compressed', textContent: 'Compact, compressed (.gz)' }),
+  ]);
+  if (!compressed) format.options[2].disabled = true;
+  container.appendChild(createElement('label', { className: 'export-option-row' }, [
+    createElement('span', { textContent: 'Format' }),
+    format,
+  ]));
+
+  container.appendChild(createElement('p', {
+    className: 'text-sm text-muted',
+    textContent: 'Standard files are readable and open in any version of WriteProof. Compact files hold the same record in a fraction of the space, which helps with long essays and email attachment limits; they verify exactly the same.',
+  }));
+
+  const actions = createElement('div', { className: 'flex gap-1' }, [
+    createElement('button', {
+      className: 'btn btn-sm btn-primary',
+      textContent: 'Download',
+      onClick: () => onDownload(format.value),
+    }),
+  ]);
+  actions.style.justifyContent = 'flex-end';
+  container.appendChild(actions);
+  return container;
+}
+
+export function renderTextExport({ onExport }) {
+  const container = createElement('div', { className: 'export-options' });
+
+  const format = createElement('select', { className: 'speed-select', 'aria-label': 'Format' },
+    Object.entries(TEXT_FORMATS).map(([value, spec]) => createElement('option', { value, textContent: spec.label })));
+  container.appendChild(createElement('label', { className: 'export-option-row' }, [
+    createElement('span', { textContent: 'Format' }),
+    format,
+  ]));
+
+  const footer = createElement('input', { type: 'checkbox' });
+  footer.checked = true;
+  container.appendChild(createElement('label', { className: 'export-option-check' }, [
+    footer,
+    ' Add a verification footer',
+  ]));
+
+  container.appendChild(createElement('p', {
+    className: 'text-sm text-muted',
+    textContent: 'The footer lists the document ID, final chain hash and a link to the Verify page, so the file you submit can be traced back to its writing record.',
+  }));
+
+  const actions = createElement('div', { className: 'flex gap-1' }, [
+    createElement('button', {
+      className: 'btn btn-sm btn-primary',
+      textContent: 'Download',
+      onClick: () => onExport(format.value, { footer: footer.checked }),
+    }),
+  ]);
+  actions.style.justifyContent = 'flex-end';
+  container.appendChild(actions);
+  return container;
+}
+
+export function renderCertificateOptions({ defaultSize = 'letter', onCreate }) {
+  const container = createElement('div', { className: 'export-options' });
+
+  const size = createElement('select', { className: 'speed-select', 'aria-label': 'Paper size' }, [
+    createElement('option', { value: 'letter', textContent: 'Letter' }),
+    createElement('option', { value: 'a4', textContent: 'A4' }),
+  ]);
+  size.value = defaultSize;
+  container.appendChild(createElement('label', { className: 'export-option-row' }, [
+    createElement('span', { textContent: 'Paper size' }),
+    size,
+  ]));
+
+  const appendix = createElement('input', { type: 'checkbox' });
+  container.appendChild(createElement('label', { className: 'export-option-check' }, [
+    appendix,
+    ' Add the final text, shaded by how it was written',
+  ]));
+
+  container.appendChild(createElement('p', {
+    className: 'text-sm text-muted',
+    textContent: 'A one-page PDF to print and attach to the essay, with a QR code that opens the replay. The appendix adds as many pages as the text needs.',
+  }));
+
+  const createBtn = createElement('button', {
+    className: 'btn btn-sm btn-primary',
+    textContent: 'Download PDF',
+    onClick: () => onCreate({ size: size.value, appendix: appendix.checked }),
+  });
+  const actions = createElement('div', { className: 'flex gap-1' }, [createBtn]);
+  actions.style.justifyContent = 'flex-end';
+  container.appendChild(actions);
+  return container;
+}
+
+/**
+ * Word-level diff from comparePositions, inline or as two columns.
+ * Changed text is clickable when its hunk has events to replay.
+ */
+export function renderDiff(result, { layout = 'side', onSelectHunk } = {}) {
+  const { ops, hunks } = result;
+
+  const renderOps = (types) => {
+    const column = createElement('div', { className: 'diff-text' });
+    for (const op of ops) {
+      if (!types.includes(op.type)) continue;
+      if (op.type === 'equal') {
+        column.appendChild(document.createTextNode(op.text));
+        continue;
+      }
+      const hunk = hunks[op.hunk];
+      const el = createElement(op.type === 'delete' ? 'del' : 'ins', {
+        className: op.type === 'delete' ? 'diff-del' : 'diff-ins',
+        textContent: op.text,
+      });
+      if (hunk.events.length > 0) {
+        const first = hunk.events[0];
+        const last = hunk.events[hunk.events.length - 1];
+        const range = first === last ? `event #${formatNumber(first + 1)}` : `events #${formatNumber(first + 1)}–#${formatNumber(last + 1)}`;
+        el.title = `Change ${op.hunk + 1}: ${formatNumber(hunk.events.length)} keystroke${hunk.events.length === 1 ? '' : 's'}, ${range}. Click to replay.`;
+        el.classList.add('diff-link');
+        el.addEventListener('click', () => onSelectHunk(hunk));
+      }
+      column.appendChild(el);
+    }
+    return column;
+  };
+
+  if (hunks.length === 0) {
+    return createElement('p', { className: 'text-muted text-center diff-empty', textContent: 'No changes between these positions.' });
+  }
+  if (layout === 'inline') {
+    return renderOps(['equal', 'delete', 'insert']);
+  }
+  return createElement('div', { className: 'diff-side' }, [
+    createElement('div', { className: 'diff-column' }, [
+      createElement('div', { className: 'diff-column-title', textContent: `Before (event ${formatNumber(result.from)})` }),
+      renderOps(['equal', 'delete']),
+    ]),
+    createElement('div', { className: 'diff-column' }, [
+      createElement('div', { className: 'diff-column-title', textContent: `After (event ${formatNumber(result.to)})` }),
+      renderOps(['equal', 'insert']),
+    ]),
+  ]);
+}
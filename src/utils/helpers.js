@@ -50,6 +50,66 @@ export function deleteAt(str, position, length = 1) {
   return str.slice(0, position) + str.slice(position + length);
 }
 
+// Spread arguments live on the call stack, so long runs are spliced in chunks
+const SPLICE_CHUNK = 10000;
+
+/**
+ * Insert `count` copies of `value` into `array` at `position`, in place.
+ */
+export function insertRepeated(array, position, count, value) {
+  for (let k = 0; k < count; k += SPLICE_CHUNK) {
+    array.splice(position + k, 0, ...new Array(Math.min(SPLICE_CHUNK, count - k)).fill(value));
+  }
+}
+
+export const DEFAULT_TITLE = 'Untitled Document';
+
+/**
+ * Apply a keystroke log event to a list of { start, end, url } links and
+ * return the updated list. Text edits shift or trim link ranges; 'k', 'e'
+ * and 'r' events add, re-target and remove links. Other events are no-ops.
+ */
+export function applyLinkEvent(links, event) {
+  switch (event.y) {
+    case 'i':
+    case 'p': {
+      const len = event.c.length;
+      return links.map((link) => {
+        if (link.start >= event.p) return { ...link, start: link.start + len, end: link.end + len };
+        if (link.end > event.p) return { ...link, end: link.end + len };
+        return link;
+      });
+    }
+    case 'd': {
+      const from = event.p;
+      const to = event.p + event.c.length;
+      const shift = (pos) => (pos <= from ? pos : pos >= to ? pos - (to - from) : from);
+      return links
+        .map((link) => ({ ...link, start: shift(link.start), end: shift(link.end) }))
+        .filter((link) => link.end > link.start);
+    }
+    case 'k':
+      return links.concat({ start: event.p, end: event.p + event.l, url: event.c })
+        .sort((a, b) => a.start - b.start);
+    case 'e':
+      return links.map((link) => (
+        link.start === event.p && link.end === event.p + event.l ? { ...link, url: event.c } : link
+      ));
+    case 'r':
+      return links.filter((link) => !(link.start === event.p && link.end === event.p + event.l));
+    default:
+      return links;
+  }
+}
+
+export function sameLinks(a, b) {
+  if (a.length !== b.length) return false;
+  const sortLinks = (links) => links.slice().sort((x, y) => x.start - y.start || x.end - y.end);
+  const sa = sortLinks(a);
+  const sb = sortLinks(b);
+  return sa.every((link, i) => link.start === sb[i].start && link.end === sb[i].end && link.url === sb[i].url);
+}
+
 export function timeSince(date) {
   const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
   if (seconds < 5) return 'just now';
@@ -0,0 +1,195 @@
+// Incremental JSON parser
+//
+// Accepts text in chunks of any size, split anywhere, so a large file can be
+// parsed as it streams in without holding all of its text at once. The value
+// built is the same as JSON.parse would return for the whole text.
+
+// What the parser expects next
+const VALUE = 0;          // any value
+const VALUE_OR_CLOSE = 1; // a value or ']' right after '['
+const KEY = 2;            // an object key
+const KEY_OR_CLOSE = 3;   // a key or '}' right after '{'
+const COLON = 4;
+const AFTER_VALUE = 5;    // ',' or a closing bracket, or the end of the text
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const LITERALS = { true: true, false: false, null: null };
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t';
+}
+
+export class JSONStreamParser {
+  constructor() {
+    this._stack = [];  // open containers: { value, key }, key only for objects
+    this._expect = VALUE;
+    this._token = null; // partial string, key, number or literal: { kind, key, text }
+    this._escape = false;
+    this._done = false;
+    this._result = undefined;
+  }
+
+  write(chunk) {
+    let i = 0;
+    const n = chunk.length;
+
+    while (i < n) {
+      if (this._token) {
+        i = this._token.kind === 'string' ? this._readString(chunk, i) : this._readBare(chunk, i);
+        continue;
+      }
+
+      const ch = chunk[i];
+      if (isWhitespace(ch)) {
+        i++;
+        continue;
+      }
+      if (this._done) throw new SyntaxError(`Unexpected ${describe(ch)} after the end of the data`);
+
+      switch (this._expect) {
+        case VALUE:
+        case VALUE_OR_CLOSE:
+          if (ch === ']' && this._expect === VALUE_OR_CLOSE) this._close();
+          else this._startValue(ch);
+          break;
+        case KEY:
+        case KEY_OR_CLOSE:
+          if (ch === '}' && this._expect === KEY_OR_CLOSE) this._close();
+          else if (ch === '"') this._token = { kind: 'string', key: true, text: '' };
+          else throw new SyntaxError(`Expected a property name but found ${describe(ch)}`);
+          break;
+        case COLON:
+          if (ch !== ':') throw new SyntaxError(`Expected ':' but found ${describe(ch)}`);
+          this._expect = VALUE;
+          break;
+        case AFTER_VALUE:
+          this._afterValue(ch);
+          break;
+      }
+      i++;
+    }
+  }
+
+  /**
+   * Finish parsing and return the value. Throws if the text was incomplete.
+   */
+  end() {
+    if (this._token && this._token.kind !== 'string') this._finishBare();
+    if (!this._done) throw new SyntaxError('Unexpected end of JSON input');
+    return this._result;
+  }
+
+  _startValue(ch) {
+    if (ch === '{') {
+      this._stack.push({ value: {}, key: null });
+      this._expect = KEY_OR_CLOSE;
+    } else if (ch === '[') {
+      this._stack.push({ value: [] });
+      this._expect = VALUE_OR_CLOSE;
+    } else if (ch === '"') {
+      this._token = { kind: 'string', text: '' };
+    } else if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      this._token = { kind: 'number', text: ch };
+    } else if (ch === 't' || ch === 'f' || ch === 'n') {
+      this._token = { kind: 'literal', text: ch };
+    } else {
+      throw new SyntaxError(`Unexpected ${describe(ch)}`);
+    }
+  }
+
+  _afterValue(ch) {
+    const top = this._stack[this._stack.length - 1];
+    const isArray = Array.isArray(top.value);
+    if (ch === ',') this._expect = isArray ? VALUE : KEY;
+    else if (ch === (isArray ? ']' : '}')) this._close();
+    else throw new SyntaxError(`Expected ',' or '${isArray ? ']' : '}'}' but found ${describe(ch)}`);
+  }
+
+  _close() {
+    this._emit(this._stack.pop().value);
+  }
+
+  // Scan string text up to the closing quote, keeping escapes as written
+  _readString(chunk, i) {
+    const token = this._token;
+    const find = (ch, from) => {
+      const at = chunk.indexOf(ch, from);
+      return at === -1 ? Infinity : at;
+    };
+    const start = i;
+    let quote = find('"', i);
+    let backslash = find('\\', i);
+
+    while (i < chunk.length) {
+      if (this._escape) {
+        this._escape = false;
+        i++;
+        continue;
+      }
+      if (quote < i) quote = find('"', i);
+      if (backslash < i) backslash = find('\\', i);
+      if (backslash < quote) {
+        this._escape = true;
+        i = backslash + 1;
+        continue;
+      }
+      if (quote === Infinity) break;
+
+      token.text += chunk.slice(start, quote);
+      this._token = null;
+      const value = /[\\\u0000-\u001f]/.test(token.text) ? JSON.parse(`"${token.text}"`) : token.text;
+      if (token.key) {
+        this._stack[this._stack.length - 1].key = value;
+        this._expect = COLON;
+      } else {
+        this._emit(value);
+      }
+      return quote + 1;
+    }
+    token.text += chunk.slice(start);
+    return chunk.length;
+  }
+
+  // Numbers and literals end at the first character that can't continue them
+  _readBare(chunk, i) {
+    const token = this._token;
+    const allowed = token.kind === 'number' ? /[0-9+\-.eE]/ : /[a-z]/;
+    let end = i;
+    while (end < chunk.length && allowed.test(chunk[end])) end++;
+    token.text += chunk.slice(i, end);
+    if (end < chunk.length) this._finishBare();
+    return end;
+  }
+
+  _finishBare() {
+    const { kind, text } = this._token;
+    this._token = null;
+    if (kind === 'number') {
+      if (!NUMBER.test(text)) throw new SyntaxError(`Invalid number ${text}`);
+      this._emit(Number(text));
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(LITERALS, text)) throw new SyntaxError(`Unexpected token ${text}`);
+      this._emit(LITERALS[text]);
+    }
+  }
+
+  _emit(value) {
+    const top = this._stack[this._stack.length - 1];
+    if (!top) {
+      this._result = value;
+      this._done = true;
+    } else if (Array.isArray(top.value)) {
+      top.value.push(value);
+    } else if (top.key === '__proto__') {
+      // An own property, as JSON.parse makes it, not the prototype
+      Object.defineProperty(top.value, top.key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+      top.value[top.key] = value;
+    }
+    this._expect = AFTER_VALUE;
+  }
+}
+
+function describe(ch) {
+  return `character '${ch}'`;
+}
@@ -0,0 +1,228 @@
+// Minimal PDF writer
+//
+// Enough of PDF 1.4 for generated documents: pages of text in the standard
+// Helvetica, Times and Courier fonts, filled rectangles, lines and link
+// areas. Coordinates are in points from the top-left corner of the page.
+
+export const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89],
+};
+
+const FONTS = {
+  helvetica: 'Helvetica',
+  'helvetica-bold': 'Helvetica-Bold',
+  times: 'Times-Roman',
+  courier: 'Courier',
+};
+
+// Advance widths (1/1000 em) of characters 32-126 from the standard AFM files
+const WIDTHS = {
+  helvetica: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  'helvetica-bold': [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+  times: [
+    250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+    921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+    556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+    333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+    500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541,
+  ],
+};
+
+// WinAnsiEncoding codes for characters outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+  '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a,
+  '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+  '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c,
+  'ž': 0x9e, 'Ÿ': 0x9f,
+};
+
+// Width stand-ins for common characters the tables above don't cover
+const PUNCTUATION = { '\t': ' ', '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '•': '*' };
+
+/**
+ * Builds a PDF page by page. Draw with text(), rect() and line() on the
+ * current page, then call toBlob().
+ */
+export class PDFBuilder {
+  constructor({ size = 'letter', title = '' } = {}) {
+    [this.width, this.height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = { ops: [], links: [] };
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Width of `str` in points. Characters the fonts can't show are measured
+   * as the '?' they will print as.
+   */
+  textWidth(str, font = 'helvetica', size = 12) {
+    if (font === 'courier') return [...str].length * 600 * size / 1000;
+    const widths = WIDTHS[font];
+    let total = 0;
+    for (const ch of str) {
+      const base = PUNCTUATION[ch] || ch.normalize('NFD')[0];
+      const code = base.charCodeAt(0);
+      if (code >= 32 && code <= 126) total += widths[code - 32];
+      else if (ch === '—' || ch === '…') total += 1000;
+      else total += widths['?'.charCodeAt(0) - 32];
+    }
+    return total * size / 1000;
+  }
+
+  /**
+   * Draw one line of text with its top at `y`. Options: font, size, color
+   * ('#rrggbb') and align ('left' | 'center' | 'right' around x).
+   */
+  text(str, x, y, { font = 'helvetica', size = 12, color = '#000000', align = 'left' } = {}) {
+    if (!str) return this;
+    if (align !== 'left') {
+      const w = this.textWidth(str, font, size);
+      x -= align === 'center' ? w / 2 : w;
+    }
+    // Baseline sits about 0.8 em below the top of the line
+    const baseline = this.height - y - size * 0.8;
+    this.page.ops.push(`BT ${fillColor(color)} /${fontKey(font)} ${num(size)} Tf ${num(x)} ${num(baseline)} Td (${encodeText(str)}) Tj ET`);
+    return this;
+  }
+
+  rect(x, y, w, h, { fill = '#000000' } = {}) {
+    this.page.ops.push(`${fillColor(fill)} ${num(x)} ${num(this.height - y - h)} ${num(w)} ${num(h)} re f`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { color = '#000000', width = 1 } = {}) {
+    this.page.ops.push(`${strokeColor(color)} ${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+    return this;
+  }
+
+  /**
+   * Make an area of the current page open `url` when clicked.
+   */
+  link(x, y, w, h, url) {
+    this.page.links.push({ rect: [x, this.height - y - h, x + w, this.height - y], url });
+    return this;
+  }
+
+  toBlob() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const fontRefs = Object.entries(FONTS).map(([key, name]) => [
+      fontKey(key),
+      add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+    ]);
+    const fonts = fontRefs.map(([key, ref]) => `/${key} ${ref} 0 R`).join(' ');
+
+    const pageRefs = this.pages.map((page) => {
+      const content = page.ops.join('\n');
+      const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      const annots = page.links.map(({ rect, url }) => add(
+        `<< /Type /Annot /Subtype /Link /Rect [${rect.map(num).join(' ')}] /Border [0 0 0] /A << /S /URI /URI (${escapeString(url)}) >> >>`,
+      ));
+      return add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}]`
+        + ` /Resources << /Font << ${fonts} >> >> /Contents ${stream} 0 R`
+        + (annots.length ? ` /Annots [${annots.map((ref) => `${ref} 0 R`).join(' ')}]` : '')
+        + ' >>');
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] = `<< /Type /Pages /Kids [${pageRefs.map((ref) => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+    const info = add(`<< /Title ${textString(this.title)} /Producer (WriteProof) /CreationDate (${pdfDate(new Date())}) >>`);
+
+    // Every string above is ASCII, so string length is byte length
+    let out = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+      const offset = out.length;
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xref = out.length;
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return new Blob([out], { type: 'application/pdf' });
+  }
+}
+
+function fontKey(font) {
+  return `F${Object.keys(FONTS).indexOf(font) + 1}`;
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function rgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((c) => num(c / 255)).join(' ');
+}
+
+function fillColor(hex) {
+  return `${rgb(hex)} rg`;
+}
+
+function strokeColor(hex) {
+  return `${rgb(hex)} RG`;
+}
+
+function escapeString(str) {
+  return str.replace(/[\\()]/g, '\\$&');
+}
+
+// Text for the standard fonts in WinAnsiEncoding, with bytes outside
+// printable ASCII written as octal escapes
+function encodeText(str) {
+  let out = '';
+  for (const ch of str) {
+    let code = ch.charCodeAt(0);
+    if (ch === '\t') code = 32;
+    else if (WIN_ANSI[ch]) code = WIN_ANSI[ch];
+    else if (code > 255 || (code < 160 && (code < 32 || code > 126))) code = 63; // '?'
+
+    if (code >= 32 && code <= 126) out += escapeString(String.fromCharCode(code));
+    else out += `\\${code.toString(8).padStart(3, '0')}`;
+  }
+  return out;
+}
+
+// Metadata strings as UTF-16BE hex so any title survives
+function textString(str) {
+  let hex = 'FEFF';
+  for (let i = 0; i < str.length; i++) hex += str.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  return `<${hex}>`;
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
@@ -0,0 +1,336 @@
+// QR code encoder (ISO/IEC 18004, byte mode)
+//
+// Produces the module matrix only; callers draw it however suits them.
+// Tables and layout follow the standard; versions 1-40 and all four error
+// correction levels are supported.
+
+const ECC_LEVELS = {
+  L: { bits: 1, index: 0 },
+  M: { bits: 0, index: 1 },
+  Q: { bits: 3, index: 2 },
+  H: { bits: 2, index: 3 },
+};
+
+// Error correction codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+// Number of error correction blocks, by level then version
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+/**
+ * Encode `text` (as UTF-8) into the smallest QR code that holds it.
+ * Options: ecc ('L' | 'M' | 'Q' | 'H', default 'M') and maxVersion
+ * (default 40). Returns { version, size, modules } where modules[y][x] is
+ * true for a dark module. Throws if the text doesn't fit.
+ */
+export function encodeQR(text, { ecc = 'M', maxVersion = 40 } = {}) {
+  const level = ECC_LEVELS[ecc];
+  if (!level) throw new Error(`Unknown QR error correction level: ${ecc}`);
+  const bytes = new TextEncoder().encode(text);
+
+  let version = 1;
+  while (version <= maxVersion && bytes.length > byteCapacity(version, level)) version++;
+  if (version > maxVersion) throw new Error('Text is too long for a QR code');
+
+  const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+  const qr = new Matrix(version);
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(codewords);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const candidate = qr.withMask(mask, level);
+    const penalty = candidate.penalty();
+    if (!best || penalty < best.penalty) best = { candidate, penalty };
+  }
+  return { version, size: qr.size, modules: best.candidate.modules };
+}
+
+function rawCodewords(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    modules -= (25 * align - 10) * align - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return Math.floor(modules / 8);
+}
+
+function dataCodewords(version, level) {
+  return rawCodewords(version)
+    - ECC_CODEWORDS_PER_BLOCK[level.index][version] * ECC_BLOCKS[level.index][version];
+}
+
+// Bytes that fit after the 4-bit mode and the character count
+function byteCapacity(version, level) {
+  const countBits = version <= 9 ? 8 : 16;
+  return Math.floor((dataCodewords(version, level) * 8 - 4 - countBits) / 8);
+}
+
+function encodeData(bytes, version, level) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  for (const b of bytes) append(b, 8);
+
+  const capacity = dataCodewords(version, level) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return data;
+}
+
+// Split data into blocks, append Reed-Solomon codewords to each and
+// interleave the blocks column by column
+function addErrorCorrection(data, version, level) {
+  const blockCount = ECC_BLOCKS[level.index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+  const raw = rawCodewords(version);
+  const shortBlocks = blockCount - (raw % blockCount);
+  const shortLength = Math.floor(raw / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // placeholder so all blocks line up
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// The module grid, with a parallel grid marking finder, timing, alignment
+// and format modules that masking and data placement must skip
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  _set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this._set(6, i, i % 2 === 0);
+      this._set(i, 6, i % 2 === 0);
+    }
+
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const ring = Math.max(Math.abs(dx), Math.abs(dy));
+          this._set(x, y, ring !== 2 && ring !== 4);
+        }
+      }
+    }
+
+    const centers = this._alignmentCenters();
+    const last = centers.length - 1;
+    centers.forEach((cx, i) => {
+      centers.forEach((cy, j) => {
+        // Corners already hold finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this._set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(ECC_LEVELS.M, 0); // reserves the area; redrawn per mask
+    this._drawVersion();
+  }
+
+  _alignmentCenters() {
+    if (this.version === 1) return [];
+    const count = Math.floor(this.version / 7) + 2;
+    const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const centers = [6];
+    for (let pos = this.size - 7; centers.length < count; pos -= step) centers.splice(1, 0, pos);
+    return centers;
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (level.bits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    const size = this.size;
+
+    for (let i = 0; i <= 5; i++) this._set(8, i, bit(i));
+    this._set(8, 7, bit(6));
+    this._set(8, 8, bit(7));
+    this._set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this._set(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this._set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this._set(8, size - 15 + i, bit(i));
+    this._set(8, size - 8, true);
+  }
+
+  _drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this._set(a, b, dark);
+      this._set(b, a, dark);
+    }
+  }
+
+  // Zigzag through two-module columns from the bottom right, skipping the
+  // vertical timing pattern
+  drawCodewords(codewords) {
+    const total = codewords.length * 8;
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let v = 0; v < this.size; v++) {
+        const y = upward ? this.size - 1 - v : v;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.reserved[y][x] || i >= total) continue;
+          this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+
+  withMask(mask, level) {
+    const copy = new Matrix(this.version);
+    copy.reserved = this.reserved;
+    copy.modules = this.modules.map((row, y) => row.map((dark, x) => (
+      this.reserved[y][x] ? dark : dark !== MASKS[mask](x, y)
+    )));
+    copy.drawFormatBits(level, mask);
+    return copy;
+  }
+
+  // Mask selection score: long runs, 2x2 blocks, finder-like patterns and
+  // an uneven dark/light balance all make a code harder to scan
+  penalty() {
+    const size = this.size;
+    const m = this.modules;
+    let score = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(m[i]);
+      lines.push(m.map((row) => row[i]));
+    }
+    for (const line of lines) {
+      let run = 1;
+      for (let k = 1; k <= size; k++) {
+        if (k < size && line[k] === line[k - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const bits = line.map((dark) => (dark ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = bits.indexOf(pattern); at >= 0; at = bits.indexOf(pattern, at + 1)) score += 40;
+      }
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (m[y][x]) dark++;
+        if (x < size - 1 && y < size - 1
+          && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+      }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
@@ -0,0 +1,222 @@
+// Minimal WebM writer for a single video track
+//
+// Lays out frames encoded by a WebCodecs VideoEncoder as a WebM
+// (Matroska) file: the EBML header, then a Segment holding Info, Tracks,
+// one Cluster per keyframe and Cues that point at each keyframe's cluster so
+// players can seek. The file is assembled once all frames are in, so every
+// element size is known up front. Times are stored in milliseconds.
+
+const IDS = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  DefaultDuration: 0x23e383,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  Cues: 0x1c53bb6b,
+  CuePoint: 0xbb,
+  CueTime: 0xb3,
+  CueTrackPositions: 0xb7,
+  CueTrack: 0xf7,
+  CueClusterPosition: 0xf1,
+};
+
+// Block times are 16-bit offsets from their cluster's time
+const MAX_CLUSTER_SPAN = 32767;
+
+const TRACK_TYPE_VIDEO = 1;
+
+export class WebMWriter {
+  /**
+   * `codec` is the Matroska codec ID ('V_VP9' or 'V_VP8'), `fps` the
+   * nominal frame rate.
+   */
+  constructor({ codec, width, height, fps }) {
+    this.codec = codec;
+    this.width = width;
+    this.height = height;
+    this.fps = fps;
+    this._frames = []; // { data, time, key }
+  }
+
+  /**
+   * Add an EncodedVideoChunk, in the order the encoder output them.
+   */
+  addChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    this._frames.push({ data, time: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+  }
+
+  /**
+   * The finished file as a Blob.
+   */
+  finish() {
+    const frameMs = 1000 / this.fps;
+    const last = this._frames[this._frames.length - 1];
+    const duration = last ? last.time + frameMs : 0;
+
+    const info = element(IDS.Info, [
+      element(IDS.TimecodeScale, [uint(1000000)]),
+      element(IDS.Duration, [float64(duration)]),
+      element(IDS.MuxingApp, [text('WriteProof')]),
+      element(IDS.WritingApp, [text('WriteProof')]),
+    ]);
+    const tracks = element(IDS.Tracks, [
+      element(IDS.TrackEntry, [
+        element(IDS.TrackNumber, [uint(1)]),
+        element(IDS.TrackUID, [uint(1)]),
+        element(IDS.TrackType, [uint(TRACK_TYPE_VIDEO)]),
+        element(IDS.FlagLacing, [uint(0)]),
+        element(IDS.DefaultDuration, [uint(Math.round(frameMs * 1e6))]),
+        element(IDS.CodecID, [text(this.codec)]),
+        element(IDS.Video, [
+          element(IDS.PixelWidth, [uint(this.width)]),
+          element(IDS.PixelHeight, [uint(this.height)]),
+        ]),
+      ]),
+    ]);
+
+    // Cluster positions are counted from the start of the Segment's data
+    const clusters = [];
+    const cuePoints = [];
+    let position = info.size + tracks.size;
+    let blocks = [];
+    let clusterTime = 0;
+    const closeCluster = () => {
+      if (!blocks.length) return;
+      const cluster = element(IDS.Cluster, [element(IDS.Timecode, [uint(clusterTime)]), ...blocks]);
+      clusters.push(cluster);
+      position += cluster.size;
+      blocks = [];
+    };
+
+    for (const frame of this._frames) {
+      if (frame.key || frame.time - clusterTime > MAX_CLUSTER_SPAN) {
+        closeCluster();
+        clusterTime = frame.time;
+        if (frame.key) {
+          cuePoints.push(element(IDS.CuePoint, [
+            element(IDS.CueTime, [uint(frame.time)]),
+            element(IDS.CueTrackPositions, [
+              element(IDS.CueTrack, [uint(1)]),
+              element(IDS.CueClusterPosition, [uint(position)]),
+            ]),
+          ]));
+        }
+      }
+      blocks.push(simpleBlock(frame, frame.time - clusterTime));
+    }
+    closeCluster();
+
+    const header = element(IDS.EBML, [
+      element(IDS.EBMLVersion, [uint(1)]),
+      element(IDS.EBMLReadVersion, [uint(1)]),
+      element(IDS.EBMLMaxIDLength, [uint(4)]),
+      element(IDS.EBMLMaxSizeLength, [uint(8)]),
+      element(IDS.DocType, [text('webm')]),
+      element(IDS.DocTypeVersion, [uint(2)]),
+      element(IDS.DocTypeReadVersion, [uint(2)]),
+    ]);
+    const segment = element(IDS.Segment, [info, tracks, ...clusters, element(IDS.Cues, cuePoints)]);
+    return new Blob([...header.parts, ...segment.parts], { type: 'video/webm' });
+  }
+}
+
+// An element is { parts, size }: its bytes as a list of arrays, so frame
+// data is never copied while the file is assembled
+function element(id, children) {
+  const parts = [];
+  let size = 0;
+  for (const child of children) {
+    if (child instanceof Uint8Array) {
+      parts.push(child);
+      size += child.length;
+    } else {
+      for (const part of child.parts) parts.push(part);
+      size += child.size;
+    }
+  }
+  const head = concat(encodeId(id), encodeSize(size));
+  parts.unshift(head);
+  return { parts, size: head.length + size };
+}
+
+function simpleBlock(frame, offset) {
+  const head = new Uint8Array(4);
+  head[0] = 0x81; // track number 1 as a 1-byte size
+  head[1] = (offset >> 8) & 0xff;
+  head[2] = offset & 0xff;
+  head[3] = frame.key ? 0x80 : 0;
+  return element(IDS.SimpleBlock, [head, frame.data]);
+}
+
+// IDs keep their length marker bits, so they are written as is
+function encodeId(id) {
+  const length = id >= 0x1000000 ? 4 : id >= 0x10000 ? 3 : id >= 0x100 ? 2 : 1;
+  return bigEndian(id, length);
+}
+
+// Variable-length size: a leading 1 bit after (length - 1) zero bits
+function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  const bytes = bigEndian(size, length);
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+function uint(value) {
+  let length = 1;
+  while (value >= 2 ** (8 * length)) length++;
+  return bigEndian(value, length);
+}
+
+function float64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+function text(value) {
+  return new TextEncoder().encode(value);
+}
+
+// Division rather than shifts, which only work up to 32 bits
+function bigEndian(value, length) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+function concat(a, b) {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
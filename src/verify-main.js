@@ -1,13 +1,21 @@
 // Entry point for verify.html — WriteProof verification and replay
 
-import { loadDocument } from './core/storage.js';
-import { verifyDocument } from './core/hashing.js';
-import { importFromJSON } from './features/export.js';
+import { loadDocument, listAnnotations, saveAnnotation, deleteAnnotation } from './core/storage.js';
+import { formatFingerprint } from './core/signing.js';
+import { parseShareURL, exportNotes, importNotes, exportToHTML, exportCertificate, downloadFile, sanitizeFilename } from './features/export.js';
+import { defaultPaperSize } from './features/certificate.js';
 import { ReplayEngine } from './features/replay.js';
+import { importInBackground, verifyInBackground, buildSnapshotsInBackground } from './features/background.js';
+import { canRecordVideo, canEncodeVideo, recordReplayVideo, videoDuration } from './features/video.js';
+import { comparePositions } from './features/diff.js';
+import { formatSessionLabel } from './features/sessions.js';
 import { analyzeWritingProfile } from './features/analytics.js';
-import { showNotification } from './ui/components.js';
-import { renderWritingProfile } from './ui/views.js';
-import { formatTime, formatNumber, countWords } from './utils/helpers.js';
+import { computeAuthenticityScore } from './features/scoring.js';
+import { showNotification, showModal } from './ui/components.js';
+import { renderWritingProfile, renderAnnotationList, renderAnnotationEditor, renderVideoExport, renderDiff, renderCertificateOptions, renderTaskProgress } from './ui/views.js';
+import { ReplayTimeline } from './ui/timeline.js';
+import { ReplayRenderer } from './ui/replay-view.js';
+import { formatTime, formatNumber, countWords, generateUUID } from './utils/helpers.js';
 
 // DOM
 const importScreen = document.getElementById('import-screen');
@@ -19,17 +27,44 @@ const replayTitle = document.getElementById('replay-title');
 const replayMeta = document.getElementById('replay-meta');
 const replayTextarea = document.getElementById('replay-textarea');
 const btnPlay = document.getElementById('btn-play');
+const btnReverse = document.getElementById('btn-reverse');
 const speedSelect = document.getElementById('speed-select');
+const timingSelect = document.getElementById('timing-select');
+const idleCapSelect = document.getElementById('idle-cap-select');
+const statusPlaybackTime = document.getElementById('status-playback-time');
 const progressBar = document.getElementById('progress-bar');
 const progressFill = document.getElementById('progress-fill');
+const progressMarker = document.getElementById('progress-marker');
 const progressLabel = document.getElementById('progress-label');
 const statusTime = document.getElementById('status-time');
 const statusKeystroke = document.getElementById('status-keystroke');
+const statusSession = document.getElementById('status-session');
 const statusHash = document.getElementById('status-hash');
+const statusSignature = document.getElementById('status-signature');
 const scoreSection = document.getElementById('score-section');
+const btnProvenance = document.getElementById('btn-provenance');
+const provenanceLegend = document.getElementById('provenance-legend');
+
+const timelineScale = document.getElementById('timeline-scale');
+const btnNextPaste = document.getElementById('btn-next-paste');
+const btnNextPause = document.getElementById('btn-next-pause');
 
 let engine = null;
 let currentDoc = null;
+let provenanceShown = false;
+let annotations = [];
+
+// Set when the page was opened from a certificate's QR code
+const certificateHash = new URLSearchParams(window.location.search).get('hash');
+
+const renderer = new ReplayRenderer(replayTextarea);
+
+const timeline = new ReplayTimeline(document.getElementById('timeline-canvas'), {
+  scale: timelineScale.value,
+  onSeek: (index) => {
+    if (engine) engine.seekTo(index);
+  },
+});
 
 // --- Import Handling ---
 
@@ -58,15 +93,46 @@ fileInput.addEventListener('change', (e) => {
 async function handleFile(file) {
   importError.style.display = 'none';
   try {
-    const doc = await importFromJSON(file);
-    loadDoc(doc);
+    const { doc, snapshots } = await runWithProgress('Opening file', (options) => importInBackground(file, options));
+    loadDoc(doc, snapshots);
   } catch (err) {
+    if (err.name === 'AbortError') return;
     importError.textContent = err.message;
     importError.style.display = 'block';
   }
 }
 
-function loadDoc(doc) {
+// Tasks shorter than this finish without showing the progress dialog
+const PROGRESS_DELAY = 300;
+
+const PHASE_LABELS = {
+  read: 'Reading file',
+  index: 'Preparing replay',
+  verify: 'Checking hash chain',
+};
+
+// Run a background task, passing it { onProgress, signal }. A dialog with
+// its progress and a Cancel button opens if it takes more than a moment.
+async function runWithProgress(title, run) {
+  const controller = new AbortController();
+  const progress = renderTaskProgress({ onCancel: () => controller.abort() });
+  let modal = null;
+  const timer = setTimeout(() => {
+    modal = showModal(title, progress.element, { onClose: () => controller.abort() });
+  }, PROGRESS_DELAY);
+
+  try {
+    return await run({
+      signal: controller.signal,
+      onProgress: (fraction, phase) => progress.update(fraction, PHASE_LABELS[phase]),
+    });
+  } finally {
+    clearTimeout(timer);
+    if (modal) modal.close();
+  }
+}
+
+function loadDoc(doc, snapshots = null) {
   currentDoc = doc;
 
   // Switch to replay screen
@@ -80,26 +146,61 @@ function loadDoc(doc) {
 
   // Initialize replay engine
   engine = new ReplayEngine(doc, {
+    snapshots,
     speed: parseFloat(speedSelect.value),
+    timing: selectedTiming(),
     onProgress: handleProgress,
     onComplete: handleComplete,
     onStateChange: handleStateChange,
   });
 
-  replayTextarea.textContent = '';
+  renderer.setDocument(doc.keystrokeLog);
+  renderSessionStatus(engine.sessionAt(0));
+
+  timeline.setDocument(doc.keystrokeLog);
+  btnNextPaste.disabled = timeline.pasteCount === 0;
+  btnNextPause.disabled = timeline.pauseCount === 0;
+
+  annotations = [];
+  renderAnnotations();
+  loadAnnotations(doc);
+
+  fillDiffPositions();
+  if (certificateHash) checkCertificateHash(doc);
 }
 
-function handleProgress({ index, total, content, position, timestamp }) {
-  replayTextarea.textContent = content;
+// A certificate's QR code carries the final chain hash it was printed with
+function checkCertificateHash(doc) {
+  if (doc.chainHash === certificateHash) {
+    showNotification('This file matches the certificate\'s final chain hash. Click Verify to check the keystrokes behind it.', 'success', 5000);
+  } else {
+    showNotification('This file does not match the certificate. Its final chain hash is different, so it is another document or a different version of it.', 'error', 8000);
+  }
+}
 
-  replayTextarea.scrollTop = replayTextarea.scrollHeight;
+function renderSessionStatus(session, timestamp) {
+  statusSession.textContent = session
+    ? formatSessionLabel(session, engine.sessions.length, timestamp)
+    : '\u2014';
+}
+
+function selectedTiming() {
+  return { mode: timingSelect.value, idleCap: parseInt(idleCapSelect.value, 10) };
+}
+
+function handleProgress({ index, total, content, position, timestamp, elapsed, playbackTime, session, steps }) {
+  if (provenanceShown) setProvenanceShown(false);
+  renderer.update({ index, content, position, steps });
 
   const pct = (index / total) * 100;
   progressFill.style.width = `${pct}%`;
   progressBar.setAttribute('aria-valuenow', Math.round(pct));
   progressLabel.textContent = `${formatNumber(index)} / ${formatNumber(total)}`;
   statusKeystroke.textContent = `${formatNumber(index)} / ${formatNumber(total)}`;
-  statusTime.textContent = formatTime(timestamp);
+  statusTime.textContent = formatTime(elapsed);
+  statusPlaybackTime.textContent = formatTime(playbackTime);
+  renderSessionStatus(session, timestamp);
+  timeline.setPosition(index);
 }
 
 function handleComplete() {
@@ -107,35 +208,66 @@ function handleComplete() {
 }
 
 function handleStateChange(state) {
-  if (state === 'playing') {
+  const reversing = state === 'playing' && engine.direction < 0;
+  if (state === 'playing' && !reversing) {
     btnPlay.innerHTML = '&#10074;&#10074; Pause';
   } else {
     btnPlay.innerHTML = '&#9654; Play';
   }
+  btnReverse.innerHTML = reversing ? '&#10074;&#10074; Pause' : '&#9664; Reverse';
 }
 
 // --- Controls ---
 
 btnPlay.addEventListener('click', () => {
   if (!engine) return;
-  if (engine.state === 'playing') {
+  if (engine.state === 'playing' && engine.direction > 0) {
     engine.pause();
-  } else if (engine.state === 'paused') {
-    engine.resume();
   } else {
     // Reset if at end
     if (engine.index >= engine.total) {
       engine.stop();
-      replayTextarea.textContent = '';
+      renderer.clear();
     }
     engine.play();
   }
 });
 
+btnReverse.addEventListener('click', () => {
+  if (!engine) return;
+  if (engine.state === 'playing' && engine.direction < 0) {
+    engine.pause();
+  } else {
+    engine.playReverse();
+  }
+});
+
+document.getElementById('btn-step-back').addEventListener('click', () => {
+  if (engine) engine.stepBack();
+});
+
+document.getElementById('btn-step-forward').addEventListener('click', () => {
+  if (engine) engine.stepForward();
+});
+
 speedSelect.addEventListener('change', () => {
   if (engine) engine.setSpeed(parseFloat(speedSelect.value));
 });
 
+timingSelect.addEventListener('change', () => {
+  idleCapSelect.style.display = timingSelect.value === 'compressed' ? '' : 'none';
+  if (!engine) return;
+  engine.setTiming(selectedTiming());
+  // Redraw the clocks for the new playback timeline
+  engine.seekTo(engine.index);
+});
+
+idleCapSelect.addEventListener('change', () => {
+  if (!engine) return;
+  engine.setTiming(selectedTiming());
+  engine.seekTo(engine.index);
+});
+
 // Click on progress bar to seek
 progressBar.addEventListener('click', (e) => {
   if (!engine) return;
@@ -143,37 +275,500 @@ progressBar.addEventListener('click', (e) => {
   const pct = (e.clientX - rect.left) / rect.width;
   const target = Math.round(pct * engine.total);
   engine.seekTo(Math.max(0, Math.min(target, engine.total)));
-  replayTextarea.textContent = engine.content;
-  progressFill.style.width = `${pct * 100}%`;
 });
 
-// Space to toggle play/pause
+// Timeline
+timelineScale.addEventListener('change', () => timeline.setScale(timelineScale.value));
+
+btnNextPaste.addEventListener('click', () => {
+  if (!engine) return;
+  const target = timeline.nextPaste(engine.index);
+  if (target < 0) {
+    showNotification('No more pastes after this point', 'info');
+    return;
+  }
+  engine.seekTo(target);
+});
+
+btnNextPause.addEventListener('click', () => {
+  if (!engine) return;
+  const target = timeline.nextPause(engine.index);
+  if (target < 0) {
+    showNotification('No more long pauses after this point', 'info');
+    return;
+  }
+  engine.seekTo(target);
+});
+
+// Arrow keys step by event, Ctrl/Alt+arrow by word, Shift+arrow by sentence
+function stepUnit(e) {
+  if (e.shiftKey) return 'sentence';
+  if (e.ctrlKey || e.altKey) return 'word';
+  return 'event';
+}
+
+// Space toggles play/pause; J, K and L play in reverse, pause and play
 document.addEventListener('keydown', (e) => {
-  if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+  if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+  if (e.metaKey) return;
   if (e.key === ' ') {
     e.preventDefault();
     btnPlay.click();
+    return;
+  }
+  if (!engine || replayScreen.style.display === 'none') return;
+
+  if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+    e.preventDefault();
+    if (e.key === 'ArrowLeft') engine.stepBack(stepUnit(e));
+    else engine.stepForward(stepUnit(e));
+    return;
+  }
+  // Ctrl and Alt combinations with letters belong to the browser
+  if (e.ctrlKey || e.altKey) return;
+
+  switch (e.key) {
+    case 'j':
+    case 'J':
+      engine.playReverse();
+      break;
+    case 'k':
+    case 'K':
+      engine.pause();
+      break;
+    case 'l':
+    case 'L':
+      if (engine.state !== 'playing' || engine.direction < 0) btnPlay.click();
+      break;
+    case 'b':
+    case 'B':
+      document.getElementById('btn-bookmark').click();
+      break;
+    case 'n':
+    case 'N':
+      e.preventDefault();
+      document.getElementById('btn-add-note').click();
+      break;
   }
 });
 
-// Verify hashes
-document.getElementById('btn-verify').addEventListener('click', async () => {
+// --- Reviewer notes ---
+
+const annotationList = document.getElementById('annotation-list');
+const btnExportNotes = document.getElementById('btn-export-notes');
+const notesFileInput = document.getElementById('notes-file-input');
+
+async function loadAnnotations(doc) {
+  try {
+    const stored = await listAnnotations(doc.id);
+    if (currentDoc !== doc) return;
+    annotations = stored;
+    renderAnnotations();
+  } catch (err) {
+    console.warn('[WriteProof] Could not load reviewer notes:', err);
+  }
+}
+
+function renderAnnotations() {
+  annotations.sort((a, b) => a.index - b.index || a.createdAt.localeCompare(b.createdAt));
+  annotationList.textContent = '';
+  annotationList.appendChild(renderAnnotationList(annotations, {
+    describe: (a) => `${formatTime(engine.elapsedAt(a.index))} \u00b7 #${formatNumber(a.index)}`,
+    onJump: (a) => engine.seekTo(a.index),
+    onEdit: editAnnotation,
+    onDelete: removeAnnotation,
+  }));
+  timeline.setAnnotations(annotations);
+  btnExportNotes.disabled = annotations.length === 0;
+}
+
+async function storeAnnotation(annotation) {
+  try {
+    await saveAnnotation(annotation);
+  } catch (err) {
+    showNotification(`Note not saved: ${err.message}`, 'error', 5000);
+  }
+}
+
+function addAnnotation(note) {
+  const now = new Date().toISOString();
+  const annotation = {
+    id: generateUUID(),
+    docId: currentDoc.id,
+    index: engine.index,
+    note,
+    createdAt: now,
+    updatedAt: now,
+  };
+  annotations.push(annotation);
+  renderAnnotations();
+  storeAnnotation(annotation);
+}
+
+function openNoteEditor(note, onSave) {
+  engine.pause();
+  const modal = showModal(`Note at ${formatTime(engine.elapsedAt(engine.index))}`, renderAnnotationEditor(note, {
+    onSave: (text) => {
+      modal.close();
+      onSave(text);
+    },
+  }));
+}
+
+function editAnnotation(annotation) {
+  engine.seekTo(annotation.index);
+  openNoteEditor(annotation.note, (note) => {
+    annotation.note = note;
+    annotation.updatedAt = new Date().toISOString();
+    renderAnnotations();
+    storeAnnotation(annotation);
+  });
+}
+
+async function removeAnnotation(annotation) {
+  annotations = annotations.filter((a) => a !== annotation);
+  renderAnnotations();
+  try {
+    await deleteAnnotation(annotation.id);
+  } catch (err) {
+    showNotification(`Note not deleted: ${err.message}`, 'error', 5000);
+  }
+}
+
+document.getElementById('btn-bookmark').addEventListener('click', () => {
+  if (!engine) return;
+  addAnnotation('');
+  showNotification('Bookmark added', 'success');
+});
+
+document.getElementById('btn-add-note').addEventListener('click', () => {
+  if (!engine) return;
+  openNoteEditor('', (note) => addAnnotation(note));
+});
+
+btnExportNotes.addEventListener('click', () => {
+  if (currentDoc) exportNotes(currentDoc, annotations);
+});
+
+document.getElementById('btn-import-notes').addEventListener('click', () => notesFileInput.click());
+
+notesFileInput.addEventListener('change', async () => {
+  const file = notesFileInput.files[0];
+  notesFileInput.value = '';
+  if (!file || !currentDoc) return;
+
+  try {
+    const imported = await importNotes(file, currentDoc);
+    // Notes already here (same id) are replaced by the imported copy
+    const ids = new Set(imported.annotations.map((a) => a.id));
+    annotations = annotations.filter((a) => !ids.has(a.id)).concat(imported.annotations);
+    renderAnnotations();
+    await Promise.all(imported.annotations.map(storeAnnotation));
+
+    const count = `${formatNumber(imported.annotations.length)} note${imported.annotations.length === 1 ? '' : 's'}`;
+    if (imported.matchesLog) {
+      showNotification(`Imported ${count}`, 'success');
+    } else {
+      showNotification(`Imported ${count}, but they were written against a different version of this document, so they may point at the wrong moments`, 'warning', 6000);
+    }
+  } catch (err) {
+    showNotification(err.message, 'error', 5000);
+  }
+});
+
+// --- Changes between two positions ---
+
+const btnDiff = document.getElementById('btn-diff');
+const diffPanel = document.getElementById('diff-panel');
+const diffFrom = document.getElementById('diff-from');
+const diffTo = document.getElementById('diff-to');
+const diffLayout = document.getElementById('diff-layout');
+const diffSummary = document.getElementById('diff-summary');
+const diffOutput = document.getElementById('diff-output');
+const replayArea = document.querySelector('.replay-area');
+let diffShown = false;
+
+// Start, the end of each session and the final text; positions picked
+// from the playhead are added as they are used
+function fillDiffPositions() {
+  const total = engine.total;
+  const sessions = engine.sessions;
+  for (const select of [diffFrom, diffTo]) {
+    select.textContent = '';
+    select.appendChild(new Option('Start', '0'));
+    for (const session of sessions.slice(0, -1)) {
+      select.appendChild(new Option(`End of session ${session.number}`, String(session.endIndex)));
+    }
+    select.appendChild(new Option('Final text', String(total)));
+  }
+  diffFrom.value = sessions.length > 1 ? String(sessions[0].endIndex) : '0';
+  diffTo.value = String(total);
+}
+
+function setDiffPosition(select, index) {
+  if (![...select.options].some((option) => option.value === String(index))) {
+    const custom = select.querySelector('option[data-playhead]');
+    if (custom) custom.remove();
+    const option = new Option(`Event ${formatNumber(index)}`, String(index));
+    option.dataset.playhead = 'true';
+    select.appendChild(option);
+  }
+  select.value = String(index);
+  renderChanges();
+}
+
+function setDiffShown(shown) {
+  diffShown = shown;
+  diffPanel.style.display = shown ? 'flex' : 'none';
+  replayArea.style.display = shown ? 'none' : '';
+  btnDiff.setAttribute('aria-pressed', String(shown));
+  btnDiff.classList.toggle('btn-primary', shown);
+  btnDiff.classList.toggle('btn-outline', !shown);
+}
+
+function renderChanges() {
+  if (!diffShown || !currentDoc) return;
+  const result = comparePositions(currentDoc.keystrokeLog, parseInt(diffFrom.value, 10), parseInt(diffTo.value, 10));
+  const removed = result.hunks.reduce((n, h) => n + countWords(h.deleted), 0);
+  const added = result.hunks.reduce((n, h) => n + countWords(h.inserted), 0);
+  diffSummary.textContent = `${formatNumber(result.hunks.length)} change${result.hunks.length === 1 ? '' : 's'} \u00b7 ${formatNumber(added)} words added, ${formatNumber(removed)} removed`;
+
+  diffOutput.textContent = '';
+  diffOutput.appendChild(renderDiff(result, {
+    layout: diffLayout.value,
+    // Replay from just before the first keystroke of the change
+    onSelectHunk: (hunk) => {
+      setDiffShown(false);
+      engine.seekTo(hunk.events[0]);
+    },
+  }));
+}
+
+btnDiff.addEventListener('click', () => {
+  if (!engine) return;
+  if (diffShown) {
+    setDiffShown(false);
+    return;
+  }
+  engine.pause();
+  if (provenanceShown) {
+    setProvenanceShown(false);
+    renderer.refresh();
+  }
+  setDiffShown(true);
+  renderChanges();
+});
+
+diffFrom.addEventListener('change', renderChanges);
+diffTo.addEventListener('change', renderChanges);
+diffLayout.addEventListener('change', renderChanges);
+document.getElementById('btn-diff-from-playhead').addEventListener('click', () => setDiffPosition(diffFrom, engine.index));
+document.getElementById('btn-diff-to-playhead').addEventListener('click', () => setDiffPosition(diffTo, engine.index));
+
+// --- Report export ---
+
+document.getElementById('btn-export-report').addEventListener('click', () => {
+  if (!currentDoc) return;
+  exportToHTML(currentDoc);
+  showNotification('Report downloaded', 'success');
+});
+
+document.getElementById('btn-export-certificate').addEventListener('click', () => {
   if (!currentDoc) return;
-  showNotification('Verifying...', 'info', 10000);
+  const doc = currentDoc;
+  const modal = showModal('Authorship Certificate', renderCertificateOptions({
+    defaultSize: defaultPaperSize(),
+    onCreate: async (options) => {
+      try {
+        await exportCertificate(doc, options);
+        modal.close();
+        showNotification('Certificate downloaded', 'success');
+      } catch (err) {
+        showNotification(err.message, 'error');
+      }
+    },
+  }));
+});
 
-  const results = await verifyDocument(currentDoc);
+// --- Video export ---
 
-  if (results.isValid) {
+document.getElementById('btn-export-video').addEventListener('click', () => {
+  if (!currentDoc) return;
+  if (!canRecordVideo()) {
+    showNotification('This browser cannot record video. Try a recent version of Chrome, Edge or Firefox.', 'error', 5000);
+    return;
+  }
+  engine.pause();
+
+  const doc = currentDoc;
+  // Closing the dialog cancels a recording in progress
+  const closed = new AbortController();
+  const modal = showModal('Export Video', renderVideoExport({
+    estimate: (options) => videoDuration(doc, options),
+    realtime: !canEncodeVideo(),
+    signal: closed.signal,
+    onStart: async (options) => {
+      try {
+        const blob = await recordReplayVideo(doc, options);
+        downloadFile(blob, `${sanitizeFilename(doc.title)}.webm`);
+        showNotification('Video saved', 'success');
+        modal.close();
+      } catch (err) {
+        if (err.name === 'AbortError') showNotification('Video export cancelled', 'info');
+        else showNotification(`Video export failed: ${err.message}`, 'error', 5000);
+      }
+    },
+  }), {
+    onClose: () => closed.abort(),
+  });
+});
+
+// Verify hashes
+const btnVerify = document.getElementById('btn-verify');
+btnVerify.addEventListener('click', async () => {
+  if (!currentDoc) return;
+
+  let results;
+  btnVerify.disabled = true;
+  try {
+    results = await runWithProgress('Verifying', (options) => verifyInBackground(currentDoc, options));
+  } catch (err) {
+    if (err.name === 'AbortError') showNotification('Verification cancelled', 'info');
+    else showNotification(`Verification failed to run: ${err.message}`, 'error', 5000);
+    return;
+  } finally {
+    btnVerify.disabled = false;
+  }
+  renderSignatureStatus(results);
+
+  if (results.isValid && results.legacyHash) {
+    statusHash.textContent = 'Verified (weak hash)';
+    statusHash.className = 'badge badge-warning';
+    statusHash.title = 'This document was hashed with a non-cryptographic fallback used by older versions on insecure (HTTP) pages. Its chain is consistent but offers little protection against tampering.';
+    showNotification('Verification passed, but this document uses a legacy non-cryptographic hash', 'warning', 6000);
+  } else if (results.isValid) {
     statusHash.textContent = 'Verified';
     statusHash.className = 'badge badge-success';
     showNotification('Verification passed', 'success');
   } else {
     statusHash.textContent = 'Not Verified';
     statusHash.className = 'badge badge-danger';
-    showNotification('Verification failed — document may have been tampered with', 'error', 5000);
+    if (results.firstBrokenSegment) {
+      const seg = results.firstBrokenSegment;
+      showBrokenSegment(seg);
+      const when = engine.sessions.length > 1
+        ? formatSessionLabel(engine.sessionAt(seg.startIndex), engine.sessions.length, seg.startTime)
+        : formatTime(seg.startTime);
+      showNotification(`Verification failed — the log was altered between events ${formatNumber(seg.startIndex + 1)} and ${formatNumber(seg.endIndex)} (${when})`, 'error', 8000);
+    } else if (results.chainValid && results.contentValid) {
+      showNotification('Verification failed — the title, links or document details were edited outside the editor', 'error', 6000);
+    } else {
+      showNotification('Verification failed — document may have been tampered with', 'error', 5000);
+    }
   }
 });
 
+// --- Provenance Overlay ---
+
+btnProvenance.addEventListener('click', () => {
+  if (!engine) return;
+  if (provenanceShown) {
+    setProvenanceShown(false);
+    renderer.refresh();
+    return;
+  }
+  engine.pause();
+  setDiffShown(false);
+  renderProvenance();
+  setProvenanceShown(true);
+});
+
+function setProvenanceShown(shown) {
+  provenanceShown = shown;
+  provenanceLegend.style.display = shown ? 'flex' : 'none';
+  btnProvenance.setAttribute('aria-pressed', String(shown));
+  btnProvenance.classList.toggle('btn-primary', shown);
+  btnProvenance.classList.toggle('btn-outline', !shown);
+}
+
+// Final text coloured by where each run of characters came from
+function renderProvenance() {
+  const { content, origins } = engine.provenance;
+  const fragment = document.createDocumentFragment();
+
+  let start = 0;
+  for (let k = 1; k <= content.length; k++) {
+    if (k < content.length && origins[k] === origins[start]) continue;
+    const origin = origins[start];
+    const span = document.createElement('span');
+    span.className = `prov-span ${provenanceClass(origin)}`;
+    span.textContent = content.slice(start, k);
+    span.title = describeOrigin(origin);
+    span.addEventListener('click', () => engine.seekTo(origin.index + 1));
+    fragment.appendChild(span);
+    start = k;
+  }
+
+  replayTextarea.textContent = '';
+  replayTextarea.appendChild(fragment);
+}
+
+function provenanceClass(origin) {
+  if (origin.type === 'pasted') return 'prov-pasted';
+  if (origin.revisions >= 3) return 'prov-heavy';
+  if (origin.revisions > 0) return 'prov-revised';
+  return 'prov-typed';
+}
+
+function describeOrigin(origin) {
+  const sessions = engine.sessions;
+  const parts = [`${origin.type === 'pasted' ? 'Pasted' : 'Typed'} at event ${formatNumber(origin.index + 1)}`];
+  parts.push(sessions.length > 1
+    ? formatSessionLabel(sessions[origin.session - 1], sessions.length, origin.time)
+    : formatTime(origin.time));
+  if (origin.revisions > 0) {
+    parts.push(`rewritten ${origin.revisions} time${origin.revisions === 1 ? '' : 's'}`);
+  }
+  return parts.join(' \u00b7 ');
+}
+
+// Jump the replay to the end of a broken segment and highlight the text it touched
+function showBrokenSegment(segment) {
+  if (!engine) return;
+  engine.seekTo(segment.endIndex);
+
+  const content = engine.content;
+  const mark = document.createElement('mark');
+  mark.className = 'replay-tamper';
+  mark.title = `Events ${segment.startIndex + 1}\u2013${segment.endIndex} do not match the recorded hash chain`;
+  mark.textContent = content.slice(segment.textStart, segment.textEnd);
+
+  replayTextarea.textContent = '';
+  replayTextarea.append(content.slice(0, segment.textStart), mark, content.slice(segment.textEnd));
+  mark.scrollIntoView({ block: 'center' });
+
+  progressMarker.style.left = `${(segment.startIndex / engine.total) * 100}%`;
+  progressMarker.style.width = `${((segment.endIndex - segment.startIndex) / engine.total) * 100}%`;
+  progressMarker.style.display = 'block';
+}
+
+function renderSignatureStatus({ signed, signatureValid, keyFingerprint }) {
+  if (!signed) {
+    statusSignature.textContent = 'Unsigned';
+    statusSignature.title = 'This document was created before device signing was available.';
+  } else if (signatureValid === null) {
+    statusSignature.textContent = `Key ${formatFingerprint(keyFingerprint)} (not checked)`;
+    statusSignature.title = 'Signature checks need the Web Crypto API. Open this page over HTTPS.';
+  } else if (signatureValid) {
+    statusSignature.textContent = `Valid \u00b7 key ${formatFingerprint(keyFingerprint)}`;
+    statusSignature.title = `Signed by device key ${keyFingerprint}. Compare this fingerprint with the author's other documents.`;
+  } else {
+    statusSignature.textContent = `Invalid \u00b7 key ${formatFingerprint(keyFingerprint)}`;
+    statusSignature.title = 'The hash chain was not signed by the key embedded in this document.';
+  }
+  statusSignature.className = signatureValid === false ? 'status-invalid' : signatureValid ? 'status-valid' : '';
+}
+
 // Writing Profile
 document.getElementById('btn-show-score').addEventListener('click', () => {
   if (!currentDoc || currentDoc.keystrokeLog.length < 2) {
@@ -183,7 +778,13 @@ document.getElementById('btn-show-score').addEventListener('click', () => {
 
   const profile = analyzeWritingProfile(currentDoc);
   scoreSection.innerHTML = '';
-  scoreSection.appendChild(renderWritingProfile(profile));
+  scoreSection.appendChild(renderWritingProfile(profile, computeAuthenticityScore(profile), {
+    onSeekRange: (range) => {
+      engine.seekTo(range.startIndex);
+      engine.play();
+      replayScreen.scrollIntoView({ behavior: 'smooth' });
+    },
+  }));
   scoreSection.style.display = scoreSection.style.display === 'none' ? 'block' : 'none';
 });
 
@@ -195,10 +796,21 @@ document.getElementById('btn-back').addEventListener('click', () => {
   replayScreen.style.display = 'none';
   importScreen.style.display = 'block';
   scoreSection.style.display = 'none';
-  replayTextarea.textContent = '';
+  setProvenanceShown(false);
+  timeline.setDocument([]);
+  renderer.setDocument([]);
+  annotations = [];
+  annotationList.textContent = '';
+  setDiffShown(false);
   progressFill.style.width = '0%';
+  progressMarker.style.display = 'none';
   statusHash.textContent = 'Not Verified';
   statusHash.className = 'badge badge-info';
+  statusHash.title = '';
+  statusSignature.textContent = '\u2014';
+  statusSession.textContent = '\u2014';
+  statusSignature.className = '';
+  statusSignature.title = '';
 });
 
 // --- Auto-load from URL params ---
@@ -206,16 +818,56 @@ document.getElementById('btn-back').addEventListener('click', () => {
 async function init() {
   const params = new URLSearchParams(window.location.search);
 
-  // Load from localStorage by doc ID
+  // Load from a share link (?data=...)
+  if (params.has('data')) {
+    try {
+      const doc = await parseShareURL(window.location.href);
+      if (doc) {
+        loadDoc(doc);
+        seekFromParams(params);
+        return;
+      }
+    } catch (err) {
+      importError.textContent = `Could not open this share link (${err.message}). The link may have been cut off by your email client. Ask the author to send the .writeproof.json file instead.`;
+      importError.style.display = 'block';
+      return;
+    }
+  }
+
+  // Load from browser storage by doc ID
   const docId = params.get('doc');
   if (docId) {
-    const doc = loadDocument(docId);
+    let doc = null;
+    try {
+      doc = await loadDocument(docId);
+    } catch (err) {
+      showNotification(err.message, 'error');
+      return;
+    }
     if (doc) {
-      loadDoc(doc);
+      try {
+        loadDoc(doc, await runWithProgress('Opening document', (options) => buildSnapshotsInBackground(doc.keystrokeLog, options)));
+      } catch (err) {
+        if (err.name !== 'AbortError') showNotification(err.message, 'error');
+        return;
+      }
+      seekFromParams(params);
+      return;
+    }
+    if (certificateHash) {
+      importError.textContent = 'This link comes from a WriteProof certificate. Open the author\'s .writeproof.json file to check it against the certificate.';
+      importError.style.display = 'block';
       return;
     }
-    showNotification('Document not found in local storage', 'warning');
+    showNotification('Document not found in browser storage', 'warning');
   }
 }
 
+// ?seek=N opens the replay at event N, e.g. a flagged stretch
+function seekFromParams(params) {
+  const seek = parseInt(params.get('seek'), 10);
+  if (!engine || Number.isNaN(seek)) return;
+  engine.seekTo(Math.max(0, Math.min(seek, engine.total)));
+}
+
 init();